@@ -0,0 +1,215 @@
+const { getRole, getActionPhases, canActInPhase, FACTIONS } = require('./roles');
+const { createRng } = require('./rng');
+const { STRATEGIES, isWolf } = require('./botStrategies');
+
+/**
+ * BotController - Plays the bot players of every room
+ * Bots are ordinary players (player.isBot) dealt roles by assignRoles. After each phase change
+ * every living bot makes its moves for that phase after a short, human-like delay.
+ * Moves go through `perform`, so the server can run them through its socket handlers
+ * (client updates, auto-advance); by default they are applied to the GameManager directly.
+ */
+const BOT_LEVELS = {
+    EASY: 'easy', // random choices
+    NORMAL: 'normal', // smart, acts only on its own Seer results
+    HARD: 'hard' // smart; a hard Seer claims its results in public chat and hard bots act on those claims
+};
+
+const LEVEL_STRATEGIES = {
+    [BOT_LEVELS.EASY]: STRATEGIES.random,
+    [BOT_LEVELS.NORMAL]: STRATEGIES.smart,
+    [BOT_LEVELS.HARD]: STRATEGIES.smart
+};
+
+// Played when every chosen move was rejected, so the game never waits on a bot
+const FALLBACK_MOVES = {
+    night: { type: 'ACTION', actionType: 'SKIP', targetId: null },
+    day: { type: 'READY' },
+    vote: { type: 'VOTE', targetId: 'SKIP' },
+    final_verdict: { type: 'VOTE', targetId: 'SPARE' }
+};
+
+class BotController {
+    // perform(roomCode, botId, move) - move is one of
+    //   { type: 'ACTION', actionType, targetId } · { type: 'LAWYER_PROTECT', targetId }
+    //   { type: 'READY' } · { type: 'VOTE', targetId } · { type: 'CHAT', message }
+    // delay: { min, max } ms before a bot moves; max 0 plays right away (tests, dev scripts)
+    constructor({ manager, perform = null, delay = { min: 1500, max: 5000 } }) {
+        this.manager = manager;
+        this.perform = perform || ((roomCode, botId, move) => this.apply(roomCode, botId, move));
+        this.delay = delay;
+        this.handles = new Map(); // roomCode -> timeouts
+        this.wolfTargets = new Map(); // roomCode -> { night, targetId }: the bot pack's pick
+        this.claims = new Map(); // roomCode -> { gameId, factions: Map targetId -> faction }: public Seer claims
+    }
+
+    // After a phase change (or resume). Wolves move in the first half of the window,
+    // so the Witch usually sees tonight's target.
+    schedule(roomCode) {
+        this.cancel(roomCode);
+        const room = this.manager.getRoom(roomCode);
+        if (!room || room.paused || !FALLBACK_MOVES[room.phase]) return;
+        const bots = room.players.filter(p => p.isBot && p.alive);
+        if (bots.length === 0) return;
+
+        if (!this.delay.max) {
+            bots.sort((a, b) => isWolf(b) - isWolf(a)).forEach(bot => this.playTurn(roomCode, bot.id));
+            return;
+        }
+
+        const phaseKey = `${room.day}:${room.phase}`;
+        const half = (this.delay.max - this.delay.min) / 2;
+        const handles = bots.map(bot => {
+            const wait = this.delay.min + (isWolf(bot) ? 0 : half) + Math.random() * half;
+            const handle = setTimeout(() => {
+                const current = this.manager.getRoom(roomCode);
+                if (current && `${current.day}:${current.phase}` === phaseKey) this.playTurn(roomCode, bot.id);
+            }, wait);
+            if (handle.unref) handle.unref();
+            return handle;
+        });
+        this.handles.set(roomCode, handles);
+    }
+
+    cancel(roomCode) {
+        (this.handles.get(roomCode) || []).forEach(handle => clearTimeout(handle));
+        this.handles.delete(roomCode);
+    }
+
+    // The bot's moves for the current phase; a rejected move is dropped like a client's would be
+    playTurn(roomCode, botId) {
+        const room = this.manager.getRoom(roomCode);
+        const bot = room && room.players.find(p => p.id === botId);
+        if (!bot || !bot.isBot || !bot.alive || room.paused) return;
+        const phase = room.phase;
+        if (!FALLBACK_MOVES[phase] || this.manager.hasActed(room, bot)) return;
+        if (phase === 'night' && !canActInPhase(room, bot, 'night')) return;
+
+        const attempt = (move) => {
+            if (room.phase !== phase) return;
+            try {
+                this.perform(roomCode, bot.id, move);
+                if (move.claims) this.recordClaims(room, move.claims);
+            } catch (error) {
+                console.log(`[BOT] ${bot.name}: ${move.type} ${move.actionType || ''} rejected - ${error.message}`);
+            }
+        };
+        // Runs from a timer: a strategy error must not take the server down, the fallback still plays
+        let moves = [];
+        try {
+            moves = this.decideMoves(room, bot);
+        } catch (error) {
+            console.error(`[BOT] ${bot.name}: could not decide - ${error.message}`);
+        }
+        moves.forEach(attempt);
+        if (!this.manager.hasActed(room, bot)) attempt(FALLBACK_MOVES[phase]);
+    }
+
+    decideMoves(room, bot) {
+        const strategy = LEVEL_STRATEGIES[bot.botLevel] || LEVEL_STRATEGIES[BOT_LEVELS.NORMAL];
+        const sim = this.createContext(room, bot);
+        // Same game, same bot choices: reseeded per decision from the game seed (names are unique per room, ids are random)
+        const decide = (decision, fn) => {
+            sim.rng = createRng(`${room.seed}:${room.day}:${room.phase}:${bot.name}:${decision}`);
+            return fn();
+        };
+
+        switch (room.phase) {
+            case 'night': {
+                const moves = [];
+                Object.entries(getRole(bot.role).actions).forEach(([actionType, def]) => {
+                    if (!getActionPhases(def).includes('night')) return;
+                    if (def.available && !def.available(room, bot)) return;
+                    const targetId = decide(actionType, () => strategy.night(sim, bot, actionType, def));
+                    if (targetId) moves.push({ type: 'ACTION', actionType, targetId });
+                });
+                if (isWolf(bot)) this.wolfTargets.set(room.roomCode, { night: `${room.gameId}:${room.day}`, targetId: sim.wolfTarget });
+                return moves;
+            }
+            case 'day': {
+                const moves = [];
+                const claim = this.seerClaim(room, bot);
+                if (claim) moves.push(claim);
+                const lawyer = getRole(bot.role).actions.LAWYER_PROTECT;
+                if (lawyer && (!lawyer.available || lawyer.available(room, bot))) {
+                    const targetId = decide('LAWYER_PROTECT', () => strategy.lawyer(sim, bot));
+                    if (targetId) moves.push({ type: 'LAWYER_PROTECT', targetId });
+                }
+                moves.push({ type: 'READY' });
+                return moves;
+            }
+            case 'vote':
+                return [{ type: 'VOTE', targetId: decide('VOTE', () => strategy.vote(sim, bot)) }];
+            case 'final_verdict':
+                return [{ type: 'VOTE', targetId: decide('VERDICT', () => strategy.verdict(sim, bot, room.pendingExecutionId)) }];
+            default:
+                return [];
+        }
+    }
+
+    // The `sim` the strategies expect (see botStrategies.js)
+    createContext(room, bot) {
+        const night = `${room.gameId}:${room.day}`;
+        const saved = this.wolfTargets.get(room.roomCode);
+        let wolfTarget = saved && saved.night === night ? saved.targetId : null;
+        // Bot wolves follow the pack's current pick, human wolves included
+        if (!wolfTarget && isWolf(bot) && room.phase === 'night') {
+            const tally = this.manager.getWolfTally(room.roomCode);
+            wolfTarget = tally ? tally.targetId : null;
+        }
+        return {
+            manager: this.manager,
+            room,
+            rng: null,
+            known: this.knowledge(room, bot),
+            wolfTarget,
+            alive: () => room.players.filter(p => p.alive && !p.isHost),
+            findPlayer: (id) => room.players.find(p => p.id === id)
+        };
+    }
+
+    // What a human in the bot's seat could know: its own Seer results and, for hard bots,
+    // the claims made in public chat. Never another player's role or faction.
+    knowledge(room, bot) {
+        const known = new Map();
+        if (isWolf(bot)) return known;
+        if (bot.botLevel === BOT_LEVELS.HARD) this.publicClaims(room).forEach((faction, id) => known.set(id, faction));
+        (bot.privateResults || []).filter(r => r.role === 'seer').forEach(r => known.set(r.targetId, r.result));
+        return known;
+    }
+
+    publicClaims(room) {
+        const saved = this.claims.get(room.roomCode);
+        return saved && saved.gameId === room.gameId ? saved.factions : new Map();
+    }
+
+    recordClaims(room, claims) {
+        const factions = this.publicClaims(room);
+        claims.forEach(([targetId, faction]) => factions.set(targetId, faction));
+        this.claims.set(room.roomCode, { gameId: room.gameId, factions });
+    }
+
+    // A hard Seer bot tells the village, in the day's public chat, what it has not claimed yet
+    seerClaim(room, bot) {
+        if (bot.botLevel !== BOT_LEVELS.HARD || isWolf(bot)) return null;
+        const claimed = this.publicClaims(room);
+        const fresh = (bot.privateResults || []).filter(r => r.role === 'seer' && !claimed.has(r.targetId));
+        if (fresh.length === 0) return null;
+        const nameOf = (id) => (room.players.find(p => p.id === id) || {}).name || '?';
+        const text = fresh.map(r => `${nameOf(r.targetId)} là ${r.result === FACTIONS.WOLF ? 'Sói' : 'Dân'}`).join(', ');
+        return { type: 'CHAT', message: `🔮 Tôi là Tiên Tri: ${text}.`, claims: fresh.map(r => [r.targetId, r.result]) };
+    }
+
+    apply(roomCode, botId, move) {
+        switch (move.type) {
+            case 'ACTION': return this.manager.submitAction(roomCode, botId, move.actionType, move.targetId);
+            case 'LAWYER_PROTECT': return this.manager.submitLawyerProtect(roomCode, botId, move.targetId);
+            case 'READY': return this.manager.markDiscussionReady(roomCode, botId);
+            case 'VOTE': return this.manager.submitVote(roomCode, botId, move.targetId);
+            case 'CHAT': return this.manager.addChatMessage(roomCode, botId, move.message);
+            default: throw new Error(`Unknown bot move ${move.type}`);
+        }
+    }
+}
+
+module.exports = { BotController, BOT_LEVELS };
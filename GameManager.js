@@ -1,42 +1,145 @@
 const { nanoid } = require('nanoid');
-
-const ROLE_TYPES = {
-  ALPHA_WOLF: 'alphaWolf',
+const { GameError, ERROR_CODES } = require('./errors');
+const { createRng, randomSeed } = require('./rng');
+const { PHASES, TRANSITIONS, assertTransition } = require('./phases');
+const { PhaseTimer } = require('./PhaseTimer');
+const { BOT_LEVELS } = require('./BotController');
+const {
+  ROLE_TYPES,
+  FACTIONS,
+  getRole,
+  listRoles,
+  getActionDef,
+  getActionPhases,
+  canActInPhase,
+  isAbilityUsed,
+  markAbilityUsed,
+  listWinConditions,
+  WOLF_CONSENSUS_MODES,
+  tallyWolfVotes,
+  pickWolfTarget
+} = require('./roles');
+
+const CHAT_CHANNELS = {
+  PUBLIC: 'public',
   WOLF: 'wolf',
-  DETECTIVE: 'detective',
-  SEER: 'seer',
-  WITCH: 'witch',
-  BODYGUARD: 'bodyguard',
-  HUNTER: 'hunter',
-  TRAITOR: 'traitor',
-  VILLAGER: 'villager'
+  GRAVEYARD: 'graveyard'
 };
+const CHAT_LOG_LIMIT = 20; // keep latest 20 messages per channel
 
-const FACTIONS = {
-  WOLF: 'wolf',
-  VILLAGER: 'villager',
-  NEUTRAL: 'neutral'
+// Spectators watch without playing; the host picks what they may see and read
+const SPECTATOR_VIEWS = {
+  HIDDEN: 'hidden', // like a living villager: no roles until the end
+  DELAYED: 'delayed' // every role and night action, one phase behind
+};
+const SPECTATOR_CHAT = {
+  NONE: 'none',
+  PUBLIC: 'public',
+  ALL: 'all' // public + wolf + graveyard, like the host
+};
+const MAX_SPECTATORS = 50;
+const defaultSpectatorSettings = () => ({ allowed: true, view: SPECTATOR_VIEWS.HIDDEN, chat: SPECTATOR_CHAT.PUBLIC });
+
+// Bot players, see BotController.js
+const BOT_NAMES = ['An', 'Bình', 'Chi', 'Dũng', 'Giang', 'Hà', 'Khoa', 'Linh', 'Minh', 'Nam', 'Phúc', 'Quân', 'Sơn', 'Trang', 'Vy'];
+
+// What happens to a player once they have missed `maxMissed` turns in a row (see trackMissedTurns)
+const AFK_POLICIES = {
+  WARN: 'warn', // warnings only: the game keeps waiting for them
+  SKIP: 'skip', // their night action, vote and day ready are filled in with a skip
+  EXCLUDE: 'exclude', // left out of the readiness counts, so auto-advance stops waiting
+  REMOVE: 'remove' // they leave the village (die) on the spot
+};
+// warnAfter: seconds of silence in a phase that waits on a player before the idle warning
+const defaultAfkSettings = () => ({ policy: AFK_POLICIES.WARN, maxMissed: 2, warnAfter: 20 });
+
+// What happens to the seat of a player still disconnected mid-game after `graceSeconds` (see abandonSeat)
+const REPLACEMENT_MODES = {
+  OFF: 'off', // keep waiting for them
+  BOT: 'bot', // a bot of `botLevel` plays the seat until they come back
+  TAKEOVER: 'takeover' // the seat waits for whoever the host gives a takeover token
+};
+const defaultReplacementSettings = () => ({ mode: REPLACEMENT_MODES.OFF, graceSeconds: 60, botLevel: BOT_LEVELS.NORMAL });
+// A human host who drops has this long to come back before the room is deleted
+const HOST_GRACE_MS = 60000;
+// Who sits in a seat, not game state: undo leaves these as they are
+const SEAT_FIELDS = ['connected', 'token', 'profileId', 'isBot', 'botLevel', 'standIn', 'takeoverPending'];
+
+// Who may read / write each channel; the host and dead players observe every channel
+const CHAT_RULES = {
+  [CHAT_CHANNELS.PUBLIC]: {
+    canRead: () => true,
+    canWrite: (room, player) => player.alive,
+    deniedMessage: 'Người chết chỉ được chat ở kênh Nghĩa Địa'
+  },
+  [CHAT_CHANNELS.WOLF]: {
+    // Faction check so Alpha-curse converts join the pack channel
+    canRead: (room, player) => player.alive && player.faction === FACTIONS.WOLF,
+    canWrite: (room, player) => room.phase === 'night' && !player.isHost && player.alive && player.faction === FACTIONS.WOLF,
+    deniedMessage: 'Chỉ Sói còn sống được chat kênh Sói vào ban đêm'
+  },
+  [CHAT_CHANNELS.GRAVEYARD]: {
+    // Observers only: living players never see it
+    canRead: () => false,
+    canWrite: (room, player) => player.isHost || !player.alive,
+    deniedMessage: 'Chỉ người chết và Host được chat ở Nghĩa Địa'
+  }
+};
+
+const createChatLogs = () => Object.fromEntries(Object.values(CHAT_CHANNELS).map(channel => [channel, []]));
+
+// Core night steps owned by the engine, interleaved with role priorities (see roles/registry.js)
+const NIGHT_STEPS = {
+  WOLF_TARGET: 35,
+  WOLF_KILL: 50
 };
 
 class GameManager {
-  constructor() {
+  // onReplay(replay) receives each game's event log once it is over (see ReplayStore.js)
+  // seed: makes room codes and every game seed reproducible (tests, bug reports)
+  // onPhaseChange(roomCode) is told about phases advanced by a timer, so clients can be updated
+  // onSeatReplaced(roomCode, player): a seat changed hands after its grace period (see abandonSeat)
+  // onRoomClosed(roomCode): the host never came back and the room was deleted
+  constructor({ onReplay = null, seed = null, onPhaseChange = null, onSeatReplaced = null, onRoomClosed = null } = {}) {
     this.rooms = new Map();
+    this.onReplay = onReplay;
+    this.onPhaseChange = onPhaseChange;
+    this.onSeatReplaced = onSeatReplaced;
+    this.onRoomClosed = onRoomClosed;
+    this.seatGraceTimers = new Map(); // `${roomCode}:${playerId}` -> timeout (see startSeatGrace)
+    this.rng = seed !== null && seed !== undefined ? createRng(seed) : null;
+    this.timers = new PhaseTimer({ onExpire: (roomCode, phase) => this.onTimerExpired(roomCode, phase) });
+  }
+
+  // Seed for the next game: drawn from the manager's RNG when seeded, otherwise fresh
+  nextSeed() {
+    return this.rng ? Math.floor(this.rng() * 0x100000000).toString(16) : randomSeed();
+  }
+
+  generateRoomCode() {
+    if (!this.rng) return nanoid(6).toUpperCase();
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let code = '';
+    for (let i = 0; i < 6; i++) code += alphabet[Math.floor(this.rng() * alphabet.length)];
+    return code;
   }
 
   createRoom(hostName) {
     const safeHostName = String(hostName || 'Host').trim() || 'Host';
     const normalizedHostName = safeHostName.slice(0, 30);
-    const roomCode = nanoid(6).toUpperCase();
+    const roomCode = this.generateRoomCode();
     const hostId = nanoid();
     const token = nanoid(32);
 
     const room = {
       roomCode,
       ownerId: hostId,
-      phase: 'lobby',
+      phase: PHASES.LOBBY,
       day: 0,
       maxPlayers: 15, // Default max players (excluding host)
       dayPhaseDuration: 60, // Default day phase duration in seconds
+      wolfConsensus: WOLF_CONSENSUS_MODES.PLURALITY, // How wolf KILL votes become the night target
+      ranked: true, // false = casual game, player ratings do not move
       players: [{
         id: hostId,
         name: normalizedHostName,
@@ -48,23 +151,35 @@ class GameManager {
         hasVoted: false,
         lastAction: Date.now(),
         token,
-        attributes: {} // For cursed status, etc.
+        attributes: {}, // For cursed status, etc.
+        privateResults: [] // Seer/Detective results only this player may see
       }],
       votes: new Map(),
       actions: new Map(), // General actions map (night & day)
       finalVotes: new Map(), // For mercy/execute vote after defense
       discussionReady: new Set(), // Players confirming end of discussion
-      winner: null,
+      winner: null, // { faction, playerIds, reason, message } once the game is won
       actionLog: [],
       config: null, // Store role config
       chatEnabled: true,
-      chatLog: [], // keep latest 20 messages
+      chatLogs: createChatLogs(), // channel -> latest messages
       aiHostEnabled: false,
       aiHostId: null,
-      phaseTimer: null,
+      timer: null, // Deadline of the current phase, see PhaseTimer.js
+      paused: null, // { since, resumeTimer } while the host has the game paused
+      undoSnapshot: null, // Room state before the last advancePhase (undoLastAdvance)
+      spectators: [], // { id, name, joinedAt } - never in players, so never counted in the game
+      spectatorSettings: defaultSpectatorSettings(),
+      spectatorSnapshot: null, // What delayed spectators see: the room as the current phase began
+      afkSettings: defaultAfkSettings(),
+      pendingAfkNotices: [], // AFK warnings waiting to be sent to their player
+      replacementSettings: defaultReplacementSettings(),
       pendingExecutionId: null,
-      defenseEndsAt: null,
       lastNightDeaths: [],
+      pendingPrivateResults: [], // Private results waiting to be sent to their owner
+      gameId: null, // Set while a game runs; names its replay
+      lastGameId: null, // Replay id of the previous game
+      events: [], // Structured event log of the running game
       aiConfig: {
         nightDuration: 45,
         voteDuration: 30,
@@ -91,7 +206,8 @@ class GameManager {
         hasVoted: false,
         lastAction: Date.now(),
         token: nanoid(32),
-        attributes: {}
+        attributes: {},
+        privateResults: []
       });
     }
   }
@@ -121,14 +237,16 @@ class GameManager {
     const room = this.rooms.get(roomCode);
     if (!room) throw new Error('Không tìm thấy phòng');
     if (room.phase !== 'day') throw new Error('Chỉ xác nhận trong pha thảo luận (ban ngày)');
+    this.assertNotPaused(room);
 
     const player = room.players.find(p => p.id === playerId);
     if (!player || !player.alive || player.isHost) throw new Error('Người chơi không hợp lệ');
+    this.touchPlayer(room, player);
 
     if (!room.discussionReady) room.discussionReady = new Set();
     room.discussionReady.add(playerId);
 
-    const total = room.players.filter(p => !p.isHost && p.alive).length;
+    const total = room.players.filter(p => !p.isHost && p.alive && !this.isExcludedAfk(room, p)).length;
     const ready = room.discussionReady.size;
 
     return {
@@ -138,16 +256,74 @@ class GameManager {
     };
   }
 
-  addChatMessage(roomCode, playerId, message) {
+  canReadChat(room, player, channel) {
+    const rules = CHAT_RULES[channel];
+    if (!rules || !player) return false;
+    return player.isHost || !player.alive || rules.canRead(room, player);
+  }
+
+  canWriteChat(room, player, channel) {
+    const rules = CHAT_RULES[channel];
+    return !!(rules && player && rules.canWrite(room, player));
+  }
+
+  // Players allowed to receive a message on this channel
+  getChatReaders(roomCode, channel) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return [];
+    return room.players.filter(p => this.canReadChat(room, p, channel));
+  }
+
+  // CHAT_SYNC payload for one player: public log plus every extra channel they may read
+  getChatSync(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return null;
+
+    // Spectators read what the host allows and never write
+    if (this.getSpectator(room, playerId)) {
+      const { chat } = room.spectatorSettings;
+      const channels = {};
+      if (chat === SPECTATOR_CHAT.ALL) {
+        channels[CHAT_CHANNELS.WOLF] = room.chatLogs[CHAT_CHANNELS.WOLF];
+        channels[CHAT_CHANNELS.GRAVEYARD] = room.chatLogs[CHAT_CHANNELS.GRAVEYARD];
+      }
+      return {
+        enabled: room.chatEnabled,
+        log: chat === SPECTATOR_CHAT.NONE ? [] : room.chatLogs[CHAT_CHANNELS.PUBLIC],
+        channels,
+        writable: []
+      };
+    }
+
+    const player = room.players.find(p => p.id === playerId);
+
+    const channels = {};
+    Object.values(CHAT_CHANNELS).forEach(channel => {
+      if (channel !== CHAT_CHANNELS.PUBLIC && this.canReadChat(room, player, channel)) {
+        channels[channel] = room.chatLogs[channel];
+      }
+    });
+
+    return {
+      enabled: room.chatEnabled,
+      log: room.chatLogs[CHAT_CHANNELS.PUBLIC],
+      channels,
+      writable: Object.values(CHAT_CHANNELS).filter(channel => this.canWriteChat(room, player, channel))
+    };
+  }
+
+  addChatMessage(roomCode, playerId, message, channel = CHAT_CHANNELS.PUBLIC) {
     const room = this.rooms.get(roomCode);
     if (!room) throw new Error('Không tìm thấy phòng');
     if (!room.chatEnabled) throw new Error('Chat đang tắt');
+    if (!CHAT_RULES[channel]) throw new Error('Kênh chat không hợp lệ');
 
     const player = room.players.find(p => p.id === playerId);
     if (!player) throw new Error('Người chơi không hợp lệ');
-    
-    // Prevent dead players from chatting
-    if (!player.alive) throw new Error('Người chết không được chat');
+
+    // e.g. dead players on the public channel, villagers on the wolf channel
+    if (!this.canWriteChat(room, player, channel)) throw new Error(CHAT_RULES[channel].deniedMessage);
+    this.touchPlayer(room, player);
 
     const trimmed = String(message || '').trim();
     if (!trimmed) throw new Error('Tin nhắn trống');
@@ -155,13 +331,15 @@ class GameManager {
       id: nanoid(8),
       playerId,
       name: player.name,
+      channel,
       message: trimmed.slice(0, 200),
       ts: Date.now()
     };
 
-    room.chatLog.push(payload);
-    if (room.chatLog.length > 20) {
-      room.chatLog = room.chatLog.slice(-20);
+    const log = room.chatLogs[channel];
+    log.push(payload);
+    if (log.length > CHAT_LOG_LIMIT) {
+      room.chatLogs[channel] = log.slice(-CHAT_LOG_LIMIT);
     }
     return payload;
   }
@@ -182,65 +360,161 @@ class GameManager {
   defaultRoleConfig(count) {
     // minimal fallback roles: 1 wolf, rest villagers
     const wolf = Math.max(1, Math.floor(count / 5));
-    return {
-      alphaWolf: { count: 0 },
-      wolf: { count: wolf },
-      detective: { count: 0 },
-      seer: { count: 0 },
-      witch: { count: 0 },
-      bodyguard: { count: 0 },
-      hunter: { count: 0 },
-      traitor: { count: 0 },
-      villager: { count: Math.max(0, count - wolf) }
-    };
+    const config = {};
+    listRoles().forEach(role => {
+      config[role.id] = { count: 0 };
+    });
+    config[ROLE_TYPES.WOLF] = { count: wolf };
+    config[ROLE_TYPES.VILLAGER] = { count: Math.max(0, count - wolf) };
+    return config;
   }
 
-  schedulePhaseTimer(room, onPhaseChange) {
-    if (room.phaseTimer) {
-      clearTimeout(room.phaseTimer);
-      room.phaseTimer = null;
+  // Length of the current phase in ms, or null when it has no deadline.
+  // The AI host advances every phase on time; a human host only gets the day discussion
+  // advanced for them, the other deadlines are shown as a guide.
+  getPhaseDuration(room) {
+    const ai = room.aiHostEnabled;
+    switch (room.phase) {
+      case PHASES.NIGHT: return ai ? (room.aiConfig.nightDuration || 45) * 1000 : null;
+      case PHASES.DAY: return (room.dayPhaseDuration || 60) * 1000;
+      case PHASES.VOTE: return (room.aiConfig.voteDuration || 30) * 1000;
+      case PHASES.DEFENSE: return 30000;
+      case PHASES.FINAL_VERDICT: return 20000;
+      case PHASES.EXECUTION_REVEAL: return ai ? (room.aiConfig.revealDuration || 5) * 1000 : null;
+      default: return null;
     }
+  }
 
-    // Check AI Host enabled FIRST (Restore manual mode behavior)
-    if (!room.aiHostEnabled) return;
+  // Starts the deadline of the phase the room just entered (called by setPhase)
+  schedulePhaseTimer(room) {
+    const duration = this.getPhaseDuration(room);
+    if (duration === null) {
+      this.timers.clear(room);
+      return;
+    }
+    this.timers.start(room, duration, { autoAdvance: room.aiHostEnabled || room.phase === PHASES.DAY });
+  }
 
+  onTimerExpired(roomCode, phase) {
+    const room = this.rooms.get(roomCode);
+    if (!room || room.phase !== phase || room.paused) return;
     const hostId = room.aiHostId || room.players.find(p => p.isHost)?.id;
     if (!hostId) return;
 
-    const advance = () => {
-      try {
-        console.log(`[AI_HOST] Timer actions: Auto advancing phase from ${room.phase}`);
-        this.advancePhase(room.roomCode, hostId);
+    try {
+      console.log(`[TIMER] ${roomCode}: time is up, advancing from ${phase}`);
+      this.advancePhase(roomCode, hostId);
+      if (this.onPhaseChange) this.onPhaseChange(roomCode);
+    } catch (e) {
+      console.error('[TIMER] advance error', e.message);
+    }
+  }
 
-        // Notify about phase change
-        if (onPhaseChange) {
-          onPhaseChange(room.roomCode);
-        }
+  getTimerView(roomCode) {
+    const room = this.rooms.get(roomCode);
+    return room ? this.timers.view(room) : null;
+  }
 
-        // CRITICAL FIX: Schedule timer for the NEXT phase
-        this.schedulePhaseTimer(room, onPhaseChange);
+  // Host timer controls. Each returns the room, or throws when there is nothing to change.
+  pauseTimer(roomCode, hostId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    if (!this.timers.pause(room)) throw new Error('Không có đồng hồ đang chạy');
+    console.log(`[TIMER] ${roomCode}: paused with ${room.timer.remainingMs}ms left`);
+    return room;
+  }
 
-      } catch (e) {
-        console.error('[AI_HOST] advance error', e.message);
-      }
+  resumeTimer(roomCode, hostId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    this.assertNotPaused(room);
+    if (!this.timers.resume(room)) throw new Error('Đồng hồ không bị tạm dừng');
+    console.log(`[TIMER] ${roomCode}: resumed`);
+    return room;
+  }
+
+  extendTimer(roomCode, hostId, seconds) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    const value = Number(seconds);
+    if (!Number.isFinite(value) || value === 0 || Math.abs(value) > 600) throw new Error('Số giây không hợp lệ');
+    if (!this.timers.extend(room, value * 1000)) throw new Error('Phase này không có đồng hồ');
+    console.log(`[TIMER] ${roomCode}: ${value > 0 ? '+' : ''}${value}s`);
+    return room;
+  }
+
+  // --- Persistence (see RoomStore.js) ---
+  // Timers can't be saved and Map/Set fields don't survive JSON: drop the former, flatten the latter
+  serializeRooms() {
+    return {
+      version: 1,
+      savedAt: Date.now(),
+      rooms: Array.from(this.rooms.values()).map(room => this.serializeRoom(room))
     };
+  }
 
-    if (room.phase === 'night') {
-      room.phaseTimer = setTimeout(advance, (room.aiConfig.nightDuration || 45) * 1000);
-    } else if (room.phase === 'day') {
-      room.phaseTimer = setTimeout(advance, (room.dayPhaseDuration || 60) * 1000);
-    } else if (room.phase === 'vote') {
-      room.phaseTimer = setTimeout(advance, (room.aiConfig.voteDuration || 30) * 1000);
-    } else if (room.phase === 'execution_reveal') {
-      room.phaseTimer = setTimeout(advance, (room.aiConfig.revealDuration || 5) * 1000);
-    } else if (room.phase === 'defense') {
-      room.phaseTimer = setTimeout(advance, 30000);
-    } else if (room.phase === 'final_verdict') {
-      room.phaseTimer = setTimeout(advance, 20000);
-    }
+  // One room as plain JSON-safe data (also used for the undo snapshot)
+  serializeRoom(room) {
+    const { hostLeftTimer, rng, undoSnapshot, ...data } = room;
+    return {
+      ...data,
+      rngState: rng ? rng.getState() : null,
+      votes: Array.from(room.votes || []),
+      actions: Array.from(room.actions || []),
+      finalVotes: Array.from(room.finalVotes || []),
+      discussionReady: Array.from(room.discussionReady || [])
+    };
+  }
+
+  deserializeRoom(data) {
+    const room = {
+      ...data,
+      votes: new Map(data.votes || []),
+      actions: new Map(data.actions || []),
+      finalVotes: new Map(data.finalVotes || []),
+      discussionReady: new Set(data.discussionReady || []),
+      // Continue the game's sequence where it stopped, not from the seed
+      rng: data.seed ? createRng(data.seed, data.rngState) : null
+    };
+    delete room.rngState;
+    return room;
+  }
+
+  restoreRooms(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.rooms)) return 0;
+
+    snapshot.rooms.forEach(data => {
+      const room = this.deserializeRoom(data);
+      // Sockets did not survive the restart: everyone comes back through JOIN_ROOM with their token
+      room.players.forEach(p => { p.connected = Boolean(p.isBot) && !p.standIn; });
+      room.spectators = []; // Spectators have no token; they simply join again
+      room.spectatorSettings = room.spectatorSettings || defaultSpectatorSettings();
+      room.afkSettings = room.afkSettings || defaultAfkSettings();
+      room.pendingAfkNotices = room.pendingAfkNotices || [];
+      room.replacementSettings = room.replacementSettings || defaultReplacementSettings();
+      this.rooms.set(room.roomCode, room);
+    });
+    return snapshot.rooms.length;
   }
 
-  joinRoom(roomCode, playerName, reconnectToken = null) {
+  // Re-arm the phase deadlines saved before the restart
+  resumePhaseTimers() {
+    this.rooms.forEach(room => this.timers.restore(room));
+  }
+
+  // Everyone comes back from a restart disconnected: the same grace periods as a dropped socket
+  resumeGraceTimers() {
+    this.rooms.forEach(room => {
+      const host = room.players.find(p => p.isHost);
+      if (host && !host.connected && !room.aiHostEnabled) this.startHostGrace(room.roomCode);
+      this.startPendingSeatGraces(room);
+    });
+  }
+
+  joinRoom(roomCode, playerName, reconnectToken = null, profileId = null) {
     const safePlayerName = String(playerName || 'Người chơi').trim() || 'Người chơi';
     const normalizedPlayerName = safePlayerName.slice(0, 30);
     const room = this.rooms.get(roomCode);
@@ -250,11 +524,15 @@ class GameManager {
       const existingPlayer = room.players.find(p => p.token === reconnectToken);
       if (existingPlayer) {
         existingPlayer.connected = true;
-        // Safety: if game just started and somehow flags were stale, revive everyone
+        this.cancelSeatGrace(roomCode, existingPlayer.id);
+        const reclaimed = Boolean(existingPlayer.standIn);
+        if (reclaimed) this.reclaimSeat(room, existingPlayer);
+        // Safety: if game just started and somehow flags were stale, revive everyone.
+        // Roles are already dealt, so attributes set on assign (Traitor mode) are kept
         if (room.phase === 'night' && room.day === 1) {
-          this.resetAliveState(room);
+          room.players.forEach(p => { p.alive = true; });
         }
-        return { playerId: existingPlayer.id, token: existingPlayer.token, reconnected: true };
+        return { playerId: existingPlayer.id, token: existingPlayer.token, reconnected: true, reclaimed };
       }
     }
 
@@ -280,18 +558,458 @@ class GameManager {
       hasVoted: false,
       lastAction: Date.now(),
       token,
-      attributes: {}
+      profileId, // verified by the server; null = anonymous
+      attributes: {},
+      privateResults: []
     });
 
     return { playerId, token, reconnected: false };
   }
 
-  startGame(roomCode, hostId, roleConfig) {
+  // --- Bots ---
+  // Ordinary players whose moves come from BotController.js; only the lobby takes new ones
+
+  addBot(roomCode, hostId, level = BOT_LEVELS.NORMAL) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    if (room.phase !== PHASES.LOBBY) throw new Error('Chỉ thêm bot trong phòng chờ');
+    if (!Object.values(BOT_LEVELS).includes(level)) throw new Error('Độ khó bot không hợp lệ');
+    if (room.players.filter(p => !p.isHost).length >= room.maxPlayers) {
+      throw new Error(`Phòng đã đầy! Tối đa ${room.maxPlayers} người chơi.`);
+    }
+
+    const taken = new Set(room.players.map(p => p.name));
+    const free = BOT_NAMES.map(n => `🤖 ${n}`).find(n => !taken.has(n));
+    const bot = {
+      id: nanoid(),
+      name: free || `🤖 Bot ${room.players.filter(p => p.isBot).length + 1}`,
+      role: null,
+      faction: null,
+      alive: true,
+      connected: true, // never disconnects
+      isHost: false,
+      isBot: true,
+      botLevel: level,
+      hasVoted: false,
+      lastAction: Date.now(),
+      token: null, // nobody can reconnect as a bot
+      profileId: null,
+      attributes: {},
+      privateResults: []
+    };
+    room.players.push(bot);
+    console.log(`[BOT] ${bot.name} (${level}) joined room ${roomCode}`);
+    return bot;
+  }
+
+  // --- Spectators ---
+  // Any phase, outside maxPlayers; spectators are not players so the game never counts them
+
+  joinSpectator(roomCode, name) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.spectatorSettings.allowed) throw new Error('Phòng không cho phép khán giả');
+    if (room.spectators.length >= MAX_SPECTATORS) throw new Error('Phòng đã đủ khán giả');
+
+    const spectator = {
+      id: nanoid(),
+      name: String(name || 'Khán giả').trim().slice(0, 30) || 'Khán giả',
+      joinedAt: Date.now()
+    };
+    room.spectators.push(spectator);
+    console.log(`[SPECTATOR] ${spectator.name} joined room ${roomCode} (${room.spectators.length} watching)`);
+    return { spectatorId: spectator.id };
+  }
+
+  leaveSpectator(roomCode, spectatorId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return false;
+    const before = room.spectators.length;
+    room.spectators = room.spectators.filter(s => s.id !== spectatorId);
+    return room.spectators.length !== before;
+  }
+
+  getSpectator(room, id) {
+    return (room.spectators || []).find(s => s.id === id) || null;
+  }
+
+  setSpectatorSettings(roomCode, hostId, settings = {}) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+
+    const next = { ...room.spectatorSettings };
+    if (settings.allowed !== undefined) next.allowed = Boolean(settings.allowed);
+    if (settings.view !== undefined) {
+      if (!Object.values(SPECTATOR_VIEWS).includes(settings.view)) throw new Error('Chế độ xem không hợp lệ');
+      next.view = settings.view;
+    }
+    if (settings.chat !== undefined) {
+      if (!Object.values(SPECTATOR_CHAT).includes(settings.chat)) throw new Error('Quyền chat không hợp lệ');
+      next.chat = settings.chat;
+    }
+    room.spectatorSettings = next;
+    return room;
+  }
+
+  // Marks where the current phase began in the event log (called by setPhase).
+  // Roles lag one phase more, as they stood when the previous phase began:
+  // the deal only shows once the first night is over.
+  takeSpectatorSnapshot(room) {
+    const previous = room.spectatorSnapshot;
+    room.spectatorSnapshot = {
+      phase: room.phase,
+      day: room.day,
+      eventCount: (room.events || []).length,
+      roles: previous && previous.phaseRoles ? previous.phaseRoles : {},
+      phaseRoles: room.phase === PHASES.LOBBY
+        ? {}
+        : Object.fromEntries(room.players.filter(p => p.role).map(p => [p.id, p.role]))
+    };
+  }
+
+  // Read-only view for a spectator (getPlayerView returns it for spectator ids)
+  getSpectatorView(room, spectator) {
+    const { view, chat } = room.spectatorSettings;
+    // Delayed: the event log up to the start of the current phase, so tonight's wolf target
+    // only shows once the night is over, and the roles of the snapshot (never the live ones)
+    const delayed = view === SPECTATOR_VIEWS.DELAYED && room.phase !== PHASES.LOBBY;
+    const snapshot = delayed ? room.spectatorSnapshot : null;
+    const roleOf = (p) => {
+      if (room.phase === PHASES.END) return p.role;
+      return (snapshot && snapshot.roles && snapshot.roles[p.id]) || '???';
+    };
+    // The seed re-deals every role, so like in the player view it waits for the end of the game
+    const withoutSeed = (e) => {
+      if (e.type !== 'GAME_STARTED' || room.phase === PHASES.END) return e;
+      const { seed, ...data } = e.data;
+      return { ...e, data };
+    };
+
+    return {
+      roomCode: room.roomCode,
+      phase: room.phase,
+      day: room.day,
+      winner: room.winner,
+      actionLog: room.actionLog,
+      chatEnabled: room.chatEnabled,
+      paused: Boolean(room.paused),
+      privateResults: [],
+      spectator: { id: spectator.id, name: spectator.name, view, chat },
+      spectatorCount: room.spectators.length,
+      players: room.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        connected: p.connected,
+        isHost: p.isHost,
+        alive: p.alive,
+        role: roleOf(p)
+      })),
+      // The deal is in the players list once the snapshot has it
+      events: snapshot ? (room.events || []).slice(0, snapshot.eventCount).filter(e => e.type !== 'ROLE_ASSIGNED').map(withoutSeed) : [],
+      delayedUntil: snapshot ? { phase: snapshot.phase, day: snapshot.day } : null
+    };
+  }
+
+  // --- AFK ---
+  // Activity is any move the game sees from the player (action, vote, ready, chat).
+  // A phase that waited on them and ended without one counts as a missed turn.
+
+  setAfkSettings(roomCode, hostId, settings = {}) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+
+    const next = { ...room.afkSettings };
+    if (settings.policy !== undefined) {
+      if (!Object.values(AFK_POLICIES).includes(settings.policy)) throw new Error('Chế độ AFK không hợp lệ');
+      next.policy = settings.policy;
+    }
+    if (settings.maxMissed !== undefined) {
+      const value = Number(settings.maxMissed);
+      if (!Number.isInteger(value) || value < 1 || value > 10) throw new Error('Số lượt bỏ lỡ phải từ 1 đến 10');
+      next.maxMissed = value;
+    }
+    if (settings.warnAfter !== undefined) {
+      const value = Number(settings.warnAfter);
+      if (!Number.isInteger(value) || value < 5 || value > 300) throw new Error('Thời gian nhắc phải từ 5 đến 300 giây');
+      next.warnAfter = value;
+    }
+    room.afkSettings = next;
+    return room;
+  }
+
+  // Any move by the player; an AFK player is back
+  touchPlayer(room, player) {
+    player.lastAction = Date.now();
+    player.missedPhases = 0;
+    if (!player.afk) return;
+    player.afk = false;
+    this.recordEvent(room, 'PLAYER_BACK', { playerId: player.id });
+    room.actionLog.push(`👋 ${player.name} đã quay lại.`);
+  }
+
+  // Phases that wait on a player: their night action, their vote, the final verdict
+  isExpectedToAct(room, player) {
+    if (!player || player.isHost || !player.alive) return false;
+    if (room.phase === PHASES.NIGHT) return canActInPhase(room, player, PHASES.NIGHT);
+    return room.phase === PHASES.VOTE || room.phase === PHASES.FINAL_VERDICT;
+  }
+
+  hasActed(room, player) {
+    switch (room.phase) {
+      case PHASES.NIGHT: return room.actions.has(player.id);
+      case PHASES.VOTE: return room.votes.has(player.id);
+      case PHASES.FINAL_VERDICT: return room.finalVotes.has(player.id);
+      case PHASES.DAY: return room.discussionReady.has(player.id);
+      default: return false;
+    }
+  }
+
+  // For the idle warning: is the current phase still waiting on this player?
+  needsToAct(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room || room.paused) return false;
+    const player = room.players.find(p => p.id === playerId);
+    return this.isExpectedToAct(room, player) && !this.hasActed(room, player);
+  }
+
+  isExcludedAfk(room, player) {
+    return room.afkSettings.policy === AFK_POLICIES.EXCLUDE && Boolean(player.afk);
+  }
+
+  queueAfkNotice(room, player, message) {
+    room.pendingAfkNotices.push({ playerId: player.id, missedPhases: player.missedPhases, afk: Boolean(player.afk), message });
+  }
+
+  // Called by advancePhase before the phase resolves
+  trackMissedTurns(room) {
+    const { policy, maxMissed } = room.afkSettings;
+    for (const player of room.players.filter(p => this.isExpectedToAct(room, p))) {
+      // An auto-skip is not a move: AFK players stay AFK until they act themselves
+      if (!player.afk && this.hasActed(room, player)) {
+        player.missedPhases = 0;
+        continue;
+      }
+      player.missedPhases = (player.missedPhases || 0) + 1;
+      if (player.afk) continue;
+
+      if (player.missedPhases < maxMissed) {
+        this.queueAfkNotice(room, player, `⚠️ Bạn đã bỏ lỡ lượt (${player.missedPhases}/${maxMissed}). Hãy hành động ở lượt sau!`);
+        continue;
+      }
+
+      player.afk = true;
+      this.recordEvent(room, 'PLAYER_AFK', { playerId: player.id, missedPhases: player.missedPhases, policy });
+      console.log(`[AFK] ${room.roomCode}: ${player.name} missed ${player.missedPhases} turns (policy=${policy})`);
+      if (policy === AFK_POLICIES.REMOVE) {
+        this.queueAfkNotice(room, player, '🚪 Bạn đã bị loại khỏi ván vì AFK.');
+        this.removeAfkPlayer(room, player);
+        if (room.phase === PHASES.END) return;
+      } else {
+        this.queueAfkNotice(room, player, '💤 Bạn đang bị coi là AFK. Hành động hoặc chat để quay lại.');
+        room.actionLog.push(`💤 ${player.name} đang AFK.`);
+      }
+    }
+  }
+
+  // REMOVE policy: the player dies where they stand; death hooks still apply (Hunter, Lovers)
+  removeAfkPlayer(room, player) {
+    room.actions.delete(player.id);
+    room.votes.delete(player.id);
+    room.finalVotes.delete(player.id);
+    if (room.pendingExecutionId === player.id) room.pendingExecutionId = null;
+
+    const ctx = this.createResolutionContext(room, room.actionLog);
+    ctx.kill(player, `🚪 ${player.name} bị loại khỏi làng vì AFK.`, 'afk');
+    this.runDeathHooks(ctx, [player]);
+    this.checkWin(room);
+  }
+
+  // SKIP policy: every AFK player's turn is filled in as the phase starts (called by setPhase)
+  autoSkipAfkPlayers(room) {
+    if (room.afkSettings.policy !== AFK_POLICIES.SKIP) return;
+    const skipped = room.players.filter(p => p.afk && (this.isExpectedToAct(room, p) || (room.phase === PHASES.DAY && p.alive && !p.isHost)));
+    skipped.forEach(p => {
+      if (room.phase === PHASES.NIGHT) {
+        const role = getRole(p.role);
+        room.actions.set(p.id, role && role.multiAction ? [{ type: 'SKIP' }] : { type: 'SKIP' });
+      } else if (room.phase === PHASES.VOTE) {
+        room.votes.set(p.id, 'SKIP');
+      } else if (room.phase === PHASES.FINAL_VERDICT) {
+        room.finalVotes.set(p.id, 'SKIP'); // counted as cast, but for neither side
+      } else {
+        room.discussionReady.add(p.id);
+      }
+    });
+    if (skipped.length > 0) this.recordEvent(room, 'AFK_SKIPPED', { playerIds: skipped.map(p => p.id) });
+  }
+
+  takeAfkNotices(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room || !room.pendingAfkNotices) return [];
+    const notices = room.pendingAfkNotices;
+    room.pendingAfkNotices = [];
+    return notices;
+  }
+
+  // --- Disconnected players ---
+  // After the grace period (timed by the server) a seat is either played by a bot or held
+  // for a takeover token; the role, attributes and results stay with the seat
+
+  setReplacementSettings(roomCode, hostId, settings = {}) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+
+    const next = { ...room.replacementSettings };
+    if (settings.mode !== undefined) {
+      if (!Object.values(REPLACEMENT_MODES).includes(settings.mode)) throw new Error('Chế độ thay người không hợp lệ');
+      next.mode = settings.mode;
+    }
+    if (settings.graceSeconds !== undefined) {
+      const value = Number(settings.graceSeconds);
+      if (!Number.isInteger(value) || value < 10 || value > 600) throw new Error('Thời gian chờ phải từ 10 đến 600 giây');
+      next.graceSeconds = value;
+    }
+    if (settings.botLevel !== undefined) {
+      if (!Object.values(BOT_LEVELS).includes(settings.botLevel)) throw new Error('Độ khó bot không hợp lệ');
+      next.botLevel = settings.botLevel;
+    }
+    room.replacementSettings = next;
+    this.startPendingSeatGraces(room);
+    return room;
+  }
+
+  // Mid-game drop: the seat is kept for the player, whose pending vote/action no longer counts
+  handleDisconnect(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    const player = room && room.players.find(p => p.id === playerId);
+    if (!player) return null;
+    player.connected = false;
+    room.votes.delete(playerId);
+    room.actions.delete(playerId);
+    this.startSeatGrace(roomCode, playerId);
+    return player;
+  }
+
+  startSeatGrace(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room || room.replacementSettings.mode === REPLACEMENT_MODES.OFF) return;
+    this.cancelSeatGrace(roomCode, playerId);
+    const key = `${roomCode}:${playerId}`;
+    const timer = setTimeout(() => {
+      this.seatGraceTimers.delete(key);
+      const player = this.abandonSeat(roomCode, playerId);
+      if (player && this.onSeatReplaced) this.onSeatReplaced(roomCode, player);
+    }, room.replacementSettings.graceSeconds * 1000);
+    if (timer.unref) timer.unref();
+    this.seatGraceTimers.set(key, timer);
+  }
+
+  cancelSeatGrace(roomCode, playerId) {
+    const key = `${roomCode}:${playerId}`;
+    clearTimeout(this.seatGraceTimers.get(key));
+    this.seatGraceTimers.delete(key);
+  }
+
+  // Players already gone get their grace period from now (replacement switched on, or a restart)
+  startPendingSeatGraces(room) {
+    if (room.phase === PHASES.LOBBY || room.phase === PHASES.END) return;
+    room.players
+      .filter(p => !p.connected && !p.isHost && !p.isBot && !p.standIn && !this.seatGraceTimers.has(`${room.roomCode}:${p.id}`))
+      .forEach(p => this.startSeatGrace(room.roomCode, p.id));
+  }
+
+  startHostGrace(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return;
+    clearTimeout(room.hostLeftTimer);
+    room.hostLeftTimer = setTimeout(() => {
+      if (this.rooms.get(roomCode) !== room) return;
+      this.rooms.delete(roomCode);
+      console.log(`[SERVER] Room ${roomCode} deleted after Host timeout`);
+      if (this.onRoomClosed) this.onRoomClosed(roomCode);
+    }, HOST_GRACE_MS);
+    if (room.hostLeftTimer.unref) room.hostLeftTimer.unref();
+  }
+
+  // Grace period over: returns the player if their seat changed hands
+  abandonSeat(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return null;
+    const player = room.players.find(p => p.id === playerId);
+    const { mode, botLevel } = room.replacementSettings;
+    if (mode === REPLACEMENT_MODES.OFF || room.phase === PHASES.LOBBY || room.phase === PHASES.END) return null;
+    if (!player || player.connected || player.isHost || player.isBot || player.standIn || !player.alive) return null;
+
+    if (mode === REPLACEMENT_MODES.BOT) {
+      player.standIn = 'bot';
+      player.isBot = true;
+      player.botLevel = botLevel;
+      room.actionLog.push(`🤖 Bot tạm chơi thay ${player.name}.`);
+    } else {
+      player.standIn = 'open';
+      room.actionLog.push(`🪑 Chỗ của ${player.name} đang chờ người thay.`);
+    }
+    this.recordEvent(room, 'PLAYER_REPLACED', { playerId, standIn: player.standIn });
+    console.log(`[REPLACE] ${roomCode}: ${player.name} -> ${player.standIn}`);
+    return player;
+  }
+
+  // Host hands an abandoned seat to someone else; the old token stops working
+  issueTakeoverToken(roomCode, hostId, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Không tìm thấy người chơi');
+    if (!player.standIn || player.connected) throw new Error('Chỉ trao được chỗ của người đã rời ván');
+
+    player.token = nanoid(32);
+    player.takeoverPending = true;
+    console.log(`[REPLACE] ${roomCode}: takeover token issued for ${player.name}`);
+    return player.token;
+  }
+
+  // Called by joinRoom when someone comes back to a replaced seat with its token
+  reclaimSeat(room, player) {
+    const takeover = Boolean(player.takeoverPending);
+    if (player.standIn === 'bot') {
+      delete player.isBot;
+      delete player.botLevel;
+    }
+    delete player.standIn;
+    delete player.takeoverPending;
+    if (takeover) player.profileId = null; // the newcomer's games are not the old player's stats
+
+    this.recordEvent(room, 'PLAYER_RETURNED', { playerId: player.id, takeover });
+    room.actionLog.push(takeover ? `🔁 Người chơi mới đã tiếp quản chỗ của ${player.name}.` : `👋 ${player.name} đã trở lại ván.`);
+  }
+
+  // Back to the lobby: a seat still held for someone who left (bot stand-in or open for a takeover)
+  // is given up like a lobby disconnect, so it never carries into the next game
+  releaseStandIns(room) {
+    for (let i = room.players.length - 1; i >= 0; i--) {
+      const player = room.players[i];
+      if (!player.standIn) continue;
+      room.players.splice(i, 1);
+      console.log(`[REPLACE] ${room.roomCode}: released the seat of ${player.name}`);
+    }
+  }
+
+  // options.seed replays a recorded game's shuffle and tie-breaks
+  startGame(roomCode, hostId, roleConfig, { seed = null } = {}) {
     const room = this.rooms.get(roomCode);
     if (!room) throw new Error('Room not found');
     const host = room.players.find(p => p.id === hostId);
     const aiHostOk = room.aiHostEnabled && room.aiHostId === hostId;
     if (!host || (!host.isHost && !aiHostOk)) throw new Error('Permission denied');
+    // Checked before anything is reset: a running or finished game must stay as it is
+    if (room.phase !== PHASES.LOBBY) {
+      throw new GameError(ERROR_CODES.INVALID_TRANSITION, `Không thể bắt đầu game từ ${room.phase}`);
+    }
 
     if (room.aiHostEnabled) {
       this.ensureAIHost(room);
@@ -312,30 +1030,108 @@ class GameManager {
     // We can have more players than configured roles (rest become Villagers)
     // But duplicate checks should be handled
 
+    room.seed = seed !== null && seed !== undefined ? String(seed) : this.nextSeed();
+    room.rng = createRng(room.seed);
     this.assignRoles(room, roleConfig);
 
     // Debug: log alive status right after role assignment
     const aliveNonHost = room.players.filter(p => !p.isHost && p.alive).length;
     console.log(`[START_GAME] room ${roomCode} alive non-host after reset: ${aliveNonHost}/${room.players.filter(p => !p.isHost).length}`);
 
-    room.phase = 'night';
     room.day = 1;
     room.discussionReady = new Set();
     room.finalVotes = new Map();
-    room.pendingExecutionId = null;
-    room.defenseEndsAt = null;
-    room.lastNightDeaths = [];
     room.winner = null;
+    room.paused = null;
+    room.undoSnapshot = null;
     room.actionLog = [`Game bắt đầu với ${totalPlayers} người chơi (trừ Host).`];
 
+    // Start a fresh event log for the replay
+    room.gameId = nanoid(12);
+    room.gameStartedAt = Date.now();
+    room.events = [];
+    this.recordEvent(room, 'GAME_STARTED', {
+      config: roleConfig,
+      wolfConsensus: room.wolfConsensus,
+      ranked: room.ranked !== false,
+      seed: room.seed,
+      players: room.players.filter(p => !p.isHost).map(p => ({ id: p.id, name: p.name }))
+    });
+    room.players.filter(p => !p.isHost).forEach(p => {
+      this.recordEvent(room, 'ROLE_ASSIGNED', { playerId: p.id, role: p.role, faction: p.faction });
+    });
+    this.setPhase(room, PHASES.NIGHT);
+
     return room;
   }
 
+  // Structured, timestamped entry in the running game's event log (actionLog is display text only)
+  recordEvent(room, type, data = {}) {
+    if (!room.gameId) return;
+    room.events.push({
+      seq: room.events.length + 1,
+      ts: Date.now(),
+      day: room.day,
+      phase: room.phase,
+      type,
+      data
+    });
+  }
+
+  // The only place room.phase changes: checked against the transition table in phases.js
+  setPhase(room, to) {
+    const from = room.phase;
+    assertTransition(room, to);
+    if (TRANSITIONS[from].exit) TRANSITIONS[from].exit(room);
+    room.phase = to;
+    if (TRANSITIONS[to].enter) TRANSITIONS[to].enter(room);
+    this.autoSkipAfkPlayers(room);
+    this.schedulePhaseTimer(room);
+    console.log(`[PHASE] ${room.roomCode}: ${from} -> ${to}`);
+    this.recordEvent(room, 'PHASE_CHANGED', { from, to });
+    this.takeSpectatorSnapshot(room);
+  }
+
+  // Closes the game's event log and hands the replay to onReplay. status: 'finished' | 'aborted'
+  finishReplay(room, status) {
+    if (!room.gameId) return null;
+
+    const replay = {
+      version: 1,
+      gameId: room.gameId,
+      roomCode: room.roomCode,
+      status,
+      ranked: room.ranked !== false,
+      seed: room.seed,
+      startedAt: room.gameStartedAt,
+      endedAt: Date.now(),
+      players: room.players
+        .filter(p => !p.isHost && p.role)
+        .map(p => ({ id: p.id, name: p.name, role: p.role, faction: p.faction, alive: p.alive, profileId: p.profileId || null })),
+      winner: room.winner,
+      events: room.events
+    };
+
+    room.lastGameId = room.gameId;
+    room.gameId = null;
+    room.events = [];
+
+    if (this.onReplay) {
+      try {
+        this.onReplay(replay);
+      } catch (e) {
+        console.error('[REPLAY] save error', e.message);
+      }
+    }
+    return replay;
+  }
+
   assignRoles(room, config) {
     let pool = [];
 
-    // Add configured roles
+    // Add configured roles (unknown keys are ignored)
     Object.entries(config).forEach(([roleKey, data]) => {
+      if (!getRole(roleKey)) return;
       for (let i = 0; i < data.count; i++) {
         pool.push(roleKey);
       }
@@ -351,45 +1147,92 @@ class GameManager {
 
     // Shuffle
     for (let i = pool.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(room.rng() * (i + 1));
       [pool[i], pool[j]] = [pool[j], pool[i]];
     }
 
     // Assign
     playersToAssign.forEach((player, i) => {
-      const role = pool[i];
-      player.role = role;
+      const role = getRole(pool[i]);
+      player.role = role.id;
       player.attributes = {}; // Reset attributes
+      player.faction = role.faction;
+      if (role.onAssign) role.onAssign(room, player, config[role.id]);
+    });
+  }
 
-      // Set Faction
-      if (role === ROLE_TYPES.ALPHA_WOLF || role === ROLE_TYPES.WOLF) {
-        player.faction = FACTIONS.WOLF;
-      } else if (role === ROLE_TYPES.TRAITOR) {
-        player.faction = FACTIONS.NEUTRAL;
-      } else {
-        player.faction = FACTIONS.VILLAGER;
+  // Handle Action (Night or Day)
+  // Checks a role action before it is stored; throws a GameError with a code on rejection.
+  // SKIP is a "done, no action" marker for anyone who could act this phase (Witch keeps her potions).
+  validateAction(room, player, actionType, targetId) {
+    if (!player || player.isHost || !player.alive) {
+      throw new GameError(ERROR_CODES.INVALID_PLAYER, 'Người chơi không hợp lệ');
+    }
+
+    if (actionType === 'SKIP') {
+      if (!canActInPhase(room, player, room.phase)) {
+        throw new GameError(ERROR_CODES.WRONG_PHASE, 'Bạn không có hành động nào trong phase này');
+      }
+      return;
+    }
+
+    const actionDef = getActionDef(player.role, actionType);
+    if (!actionDef) {
+      throw new GameError(ERROR_CODES.ACTION_NOT_ALLOWED, 'Vai trò của bạn không có chức năng này');
+    }
+    if (!getActionPhases(actionDef).includes(room.phase)) {
+      throw new GameError(ERROR_CODES.WRONG_PHASE, 'Không thể dùng chức năng này trong phase hiện tại');
+    }
+    if (isAbilityUsed(player, actionType)) {
+      throw new GameError(ERROR_CODES.ABILITY_USED, 'Bạn đã dùng chức năng này rồi');
+    }
+    if (actionDef.available && !actionDef.available(room, player)) {
+      throw new GameError(ERROR_CODES.ABILITY_UNAVAILABLE, 'Không thể dùng chức năng này lúc này');
+    }
+
+    // Multi-target actions (Cupid PAIR) send an array of exactly `targets` ids
+    const targetCount = actionDef.targets || 1;
+    const targetIds = targetCount > 1 ? targetId : [targetId];
+    if (!Array.isArray(targetIds) || targetIds.length !== targetCount) {
+      throw new GameError(ERROR_CODES.INVALID_TARGET, `Phải chọn đúng ${targetCount} mục tiêu`);
+    }
+    targetIds.forEach(id => {
+      const target = room.players.find(p => p.id === id);
+      if (!target || target.isHost) {
+        throw new GameError(ERROR_CODES.INVALID_TARGET, 'Mục tiêu không hợp lệ');
+      }
+      if (!target.alive) {
+        throw new GameError(ERROR_CODES.TARGET_NOT_ALIVE, `${target.name} đã chết`);
+      }
+      if (target.id === player.id && !actionDef.allowSelf) {
+        throw new GameError(ERROR_CODES.SELF_TARGET, 'Không thể chọn chính mình');
       }
     });
+
+    // Role-specific constraints (e.g. Bodyguard cannot protect same person twice)
+    if (actionDef.validate) {
+      actionDef.validate(room, player, targetId);
+    }
   }
 
-  // Handle Action (Night or Day)
   submitAction(roomCode, playerId, actionType, targetId) {
     const room = this.rooms.get(roomCode);
-    if (!room) throw new Error('Room not found');
-
-    const player = room.players.find(p => p.id === playerId);
-    if (!player || !player.alive) throw new Error('Invalid player');
+    if (!room) throw new GameError(ERROR_CODES.ROOM_NOT_FOUND, 'Không tìm thấy phòng');
+    this.assertNotPaused(room);
 
-    // Bodyguard Constraint: Cannot protect same person twice
-    if (player.role === ROLE_TYPES.BODYGUARD && actionType === 'PROTECT') {
-      if (player.attributes.lastProtectedId === targetId) {
-        throw new Error('Không được bảo vệ cùng 1 người 2 đêm liên tiếp!');
-      }
+    // Day abilities have their own events (LAWYER_PROTECT); ACTION is the night channel
+    if (room.phase !== 'night') {
+      throw new GameError(ERROR_CODES.WRONG_PHASE, 'Chỉ gửi hành động vào ban đêm');
     }
 
+    const player = room.players.find(p => p.id === playerId);
+    this.validateAction(room, player, actionType, targetId);
+    this.touchPlayer(room, player);
+
     // Store action
-    // Special case: Witch can have multiple actions (SAVE + KILL)
-    if (player.role === ROLE_TYPES.WITCH) {
+    // Special case: multi-action roles (Witch SAVE + KILL) keep an array
+    const role = getRole(player.role);
+    if (role && role.multiAction) {
       // Get existing actions or create new array
       const existingActions = room.actions.get(playerId) || [];
       // Add new action to array
@@ -400,13 +1243,15 @@ class GameManager {
       room.actions.set(playerId, { type: actionType, targetId });
     }
     player.hasVoted = true;
+    this.recordEvent(room, 'ACTION_SUBMITTED', { actorId: player.id, actionType, targetId });
 
-    // Return sensitive details for Host Log
+    // Return sensitive details for Host Log (Cupid PAIR sends 2 targets)
+    const targetIds = Array.isArray(targetId) ? targetId : [targetId];
     return {
       actorName: player.name,
       actorRole: player.role,
       actionType: actionType,
-      targetName: room.players.find(p => p.id === targetId)?.name || 'Unknown'
+      targetName: targetIds.map(id => room.players.find(p => p.id === id)?.name || 'Unknown').join(' & ')
     };
   }
 
@@ -414,229 +1259,181 @@ class GameManager {
   // For basic version, Host manually advances phase. 
   // But we can check if all "Active" roles have acted.
 
-  resolveNight(room) {
-    const logs = [];
-    room.lastNightDeaths = [];
-
-    const recordDeath = (player) => {
-      if (!player) return;
-      if (!room.lastNightDeaths) room.lastNightDeaths = [];
-      if (!room.lastNightDeaths.find(d => d.id === player.id)) {
-        room.lastNightDeaths.push({ id: player.id, name: player.name });
-      }
+  // Private result for the acting player only (kept for reconnect)
+  addPrivateResult(room, player, result) {
+    const entry = {
+      id: nanoid(8),
+      playerId: player.id,
+      day: room.day,
+      ts: Date.now(),
+      ...result
     };
-    const wasAlive = new Map();
-    room.players.forEach(p => wasAlive.set(p.id, p.alive));
-    room.lastNightDeaths = [];
-
-    // 1. Collect Actions
-    const wolfKills = new Map(); // targetId -> count
-    let alphaCurseTarget = null;
-    let detectiveTarget = null;
-
-    // Map actions
-    room.actions.forEach((data, actorId) => {
-      const actor = room.players.find(p => p.id === actorId);
-      if (!actor || !actor.alive) return;
+    if (!player.privateResults) player.privateResults = [];
+    player.privateResults.push(entry);
+    this.recordEvent(room, 'PRIVATE_RESULT', { playerId: player.id, ...result });
+    if (!room.pendingPrivateResults) room.pendingPrivateResults = [];
+    room.pendingPrivateResults.push(entry);
+    return entry;
+  }
 
-      if (actor.role === ROLE_TYPES.WOLF || actor.role === ROLE_TYPES.ALPHA_WOLF) {
-        if (data.type === 'KILL') {
-          wolfKills.set(data.targetId, (wolfKills.get(data.targetId) || 0) + 1);
-        }
-        if (actor.role === ROLE_TYPES.ALPHA_WOLF && data.type === 'CURSE') {
-          if (!actor.attributes.hasCursed) { // Check if used once
-            alphaCurseTarget = data.targetId;
-            actor.attributes.hasCursed = true; // Mark used
-          }
-        }
+  // Shared state handed to role hooks while a night (or verdict) resolves
+  createResolutionContext(room, logs) {
+    const ctx = {
+      room,
+      logs,
+      deaths: [],
+      wolfVotes: new Map(), // wolfId -> targetId
+      killTargetId: null,
+      curseTargetId: null,
+      protectedTargetId: null,
+      savedTargetId: null,
+      findPlayer: (id) => room.players.find(p => p.id === id) || null,
+      markUsed: (player, actionType) => markAbilityUsed(player, actionType),
+      reveal: (player, result) => this.addPrivateResult(room, player, result),
+      // cause: 'wolf' | 'witch' | 'hunter' | 'lovers' | 'execution' (event log only)
+      kill: (player, message, cause = null) => {
+        if (!player || !player.alive) return;
+        player.alive = false;
+        ctx.deaths.push(player);
+        if (message) logs.push(message);
+        this.recordEvent(room, 'PLAYER_DIED', { playerId: player.id, role: player.role, cause });
       }
+    };
+    return ctx;
+  }
 
-      if (actor.role === ROLE_TYPES.DETECTIVE && data.type === 'CHECK') {
-        detectiveTarget = data.targetId;
-      }
+  // Wolf Kill Target (Consensus)
+  pickWolfTarget(ctx) {
+    const mode = ctx.room.wolfConsensus || WOLF_CONSENSUS_MODES.PLURALITY;
+    const decision = pickWolfTarget(ctx.room, ctx.wolfVotes, mode, ctx.room.rng || Math.random);
+    ctx.killTargetId = decision.targetId;
+    this.recordEvent(ctx.room, 'WOLF_TARGET', {
+      mode,
+      votes: Array.from(ctx.wolfVotes),
+      targetId: decision.targetId,
+      reason: decision.reason
     });
+    console.log(`[WOLF_TARGET] mode=${mode} reason=${decision.reason} target=${decision.targetId}`);
+  }
 
-    // 1.5 CRITICAL: Collect Hunter PIN actions BEFORE any deaths are processed
-    // This ensures pinnedTargetId is saved even if Hunter dies in the same night
-    console.log(`[HUNTER] Collecting PIN actions BEFORE death processing`);
-    room.actions.forEach((data, actorId) => {
-      const actor = room.players.find(p => p.id === actorId);
-      if (!actor || !actor.alive) return;
-
-      const actions = Array.isArray(data) ? data : [data];
-      actions.forEach(action => {
-        if (actor.role === ROLE_TYPES.HUNTER && action.type === 'PIN') {
-          actor.attributes.pinnedTargetId = action.targetId;
-          console.log(`[HUNTER] ${actor.name} pinned ${action.targetId} (will persist even if hunter dies)`);
-        }
-      });
-    });
+  // Live view of the pack's KILL votes during the night (for wolves and the Witch)
+  getWolfTally(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room || room.phase !== 'night') return null;
 
-    // 2. Determine Wolf Kill Target (Consensus)
-    let killTargetId = null;
-    let maxVotes = 0;
-    wolfKills.forEach((count, targetId) => {
-      if (count > maxVotes) {
-        maxVotes = count;
-        killTargetId = targetId;
+    const votes = new Map();
+    room.actions.forEach((action, actorId) => {
+      const actor = room.players.find(p => p.id === actorId);
+      if (actor && actor.alive && actor.faction === FACTIONS.WOLF && action.type === 'KILL') {
+        votes.set(actorId, action.targetId);
       }
     });
 
-    // 2.1 Check Bodyguard Protection (BEFORE Witch SAVE and Wolf kill)
-    let protectedTargetId = null;
-    console.log(`[BODYGUARD] Checking protection, total actions: ${room.actions.size}`);
-    room.actions.forEach((data, actorId) => {
-      const actor = room.players.find(p => p.id === actorId);
-      // Handle both single action (object) and multiple actions (array for Witch)
-      const actions = Array.isArray(data) ? data : [data];
-      actions.forEach(action => {
-        console.log(`[BODYGUARD] Action from ${actorId}: type=${action.type}, role=${actor?.role}`);
-        if (actor && actor.role === ROLE_TYPES.BODYGUARD && actor.alive && action.type === 'PROTECT') {
-          protectedTargetId = action.targetId;
-          actor.attributes.lastProtectedId = action.targetId;
-          console.log(`[BODYGUARD] Protected ${action.targetId}`);
-        }
-      });
-    });
+    const mode = room.wolfConsensus || WOLF_CONSENSUS_MODES.PLURALITY;
+    const nameOf = (id) => room.players.find(p => p.id === id)?.name || 'Unknown';
+    // No random tie-break here: a tie stays a tie until the night resolves
+    const decision = pickWolfTarget(room, votes, mode);
+    return {
+      mode,
+      votes: tallyWolfVotes(votes).map(t => ({
+        targetId: t.targetId,
+        targetName: nameOf(t.targetId),
+        count: t.count,
+        voters: t.voterIds.map(nameOf)
+      })),
+      targetId: decision.targetId,
+      targetName: decision.targetId ? nameOf(decision.targetId) : null,
+      tiedIds: decision.tiedIds,
+      reason: decision.reason
+    };
+  }
 
-    // 2.5 Check Witch SAVE (BEFORE applying wolf kill)
-    let witchSavedTarget = null;
-    console.log(`[WITCH_SAVE] Checking saves, total actions: ${room.actions.size}`);
-    room.actions.forEach((data, actorId) => {
-      const actor = room.players.find(p => p.id === actorId);
-      // Handle both single action and multiple actions (array for Witch)
-      const actions = Array.isArray(data) ? data : [data];
-      actions.forEach(action => {
-        console.log(`[WITCH_SAVE] Action from ${actorId}: type=${action.type}, role=${actor?.role}, alive=${actor?.alive}`);
-        if (actor && actor.role === ROLE_TYPES.WITCH && actor.alive && action.type === 'SAVE') {
-          console.log(`[WITCH_SAVE] Witch ${actor.name} trying to save ${action.targetId}, wolf target: ${killTargetId}`);
-          if (killTargetId && action.targetId === killTargetId && !actor.attributes.hasSaved) {
-            witchSavedTarget = killTargetId;
-            console.log(`[WITCH_SAVE] SUCCESS! Saved ${killTargetId}`);
-            actor.attributes.hasSaved = true;
-          } else {
-            console.log(`[WITCH_SAVE] FAILED - killTargetId: ${killTargetId}, match: ${action.targetId === killTargetId}, hasSaved: ${actor.attributes.hasSaved}`);
-          }
-        }
-      });
-    });
+  // Resolve Alpha Curse + Kill Interaction (AFTER Bodyguard and Witch checks)
+  applyWolfKill(ctx) {
+    const { killTargetId, protectedTargetId, savedTargetId } = ctx;
+    console.log(`[WOLF_KILL] killTargetId: ${killTargetId}, protectedTargetId: ${protectedTargetId}, witchSavedTarget: ${savedTargetId}`);
 
-    // 3. Resolve Alpha Curse + Kill Interaction (AFTER Bodyguard and Witch checks)
-    console.log(`[WOLF_KILL] killTargetId: ${killTargetId}, protectedTargetId: ${protectedTargetId}, witchSavedTarget: ${witchSavedTarget}`);
-
-    // Check if target is protected by Bodyguard OR saved by Witch
-    if (killTargetId && killTargetId !== witchSavedTarget && killTargetId !== protectedTargetId) {
-      const victim = room.players.find(p => p.id === killTargetId);
-      if (victim) {
-        console.log(`[WOLF_KILL] Applying kill to ${victim.name}`);
-        // CURSE LOGIC: If cursed target is killed by wolves SAME NIGHT
-        if (alphaCurseTarget === killTargetId) {
-          // Revive & Convert
-          victim.faction = FACTIONS.WOLF;
-          logs.push(`🌙 ${victim.name} bị cắn nhưng sống sót... một cách kỳ lạ.`);
-        } else {
-          // Apply death
-          victim.alive = false;
-          recordDeath(victim);
-          logs.push(`💀 ${victim.name} đã bị Sói giết.`);
-        }
-      }
-    } else if (!killTargetId) {
-      logs.push('🌙 Không có ai bị giết đêm qua.');
-    } else if (killTargetId === protectedTargetId) {
-      // Bodyguard protected
-      console.log(`[BODYGUARD] Protection successful!`);
-      logs.push('🌙 Không có ai chết đêm qua.');
+    if (!killTargetId) {
+      ctx.logs.push('🌙 Không có ai bị giết đêm qua.');
+      return;
+    }
+    // Protected by Bodyguard OR saved by Witch
+    if (killTargetId === protectedTargetId || killTargetId === savedTargetId) {
+      ctx.logs.push('🌙 Không có ai chết đêm qua.');
+      return;
+    }
+
+    const victim = ctx.findPlayer(killTargetId);
+    if (!victim) return;
+    // CURSE LOGIC: If cursed target is killed by wolves SAME NIGHT
+    if (ctx.curseTargetId === killTargetId) {
+      // Revive & Convert
+      victim.faction = FACTIONS.WOLF;
+      ctx.logs.push(`🌙 ${victim.name} bị cắn nhưng sống sót... một cách kỳ lạ.`);
+      this.recordEvent(ctx.room, 'PLAYER_CONVERTED', { playerId: victim.id, faction: FACTIONS.WOLF });
     } else {
-      // Witch saved someone
-      console.log(`[WOLF_KILL] CANCELLED by Witch save`);
-      logs.push('🌙 Không có ai chết đêm qua.');
+      ctx.kill(victim, `💀 ${victim.name} đã bị Sói giết.`, 'wolf');
     }
+  }
 
-    // 4. Bodyguard Logic - MOVED EARLIER (before wolf kill)
-    // Protection already collected above
+  // Run death hooks (Hunter link, Lovers...) until no new deaths are produced
+  runDeathHooks(ctx, victims) {
+    const room = ctx.room;
+    // Roles whose hooks watch every death while they are part of this game
+    const watchers = listRoles().filter(role => role.onPlayerDeath && room.players.some(p => p.role === role.id));
+    const queue = [...victims];
+    const handled = new Set();
+    while (queue.length > 0) {
+      const victim = queue.shift();
+      if (handled.has(victim.id)) continue;
+      handled.add(victim.id);
+
+      const before = ctx.deaths.length;
+      const role = getRole(victim.role);
+      if (role && role.onDeath) role.onDeath(ctx, victim);
+      watchers.forEach(watcher => watcher.onPlayerDeath(ctx, victim));
+      queue.push(...ctx.deaths.slice(before));
+    }
+  }
+
+  resolveNight(room) {
+    const logs = [];
+    const wasAlive = new Map();
+    room.players.forEach(p => wasAlive.set(p.id, p.alive));
+    room.lastNightDeaths = [];
 
-    // 5. Hunter PIN collection already done at step 1.5 above
+    const ctx = this.createResolutionContext(room, logs);
 
-    // 6. Witch Logic (KILL Potion)
-    console.log(`[WITCH_KILL] Checking witch kills`);
+    // 1. Queue every submitted action behind its role's night priority
+    const steps = [
+      { priority: NIGHT_STEPS.WOLF_TARGET, run: () => this.pickWolfTarget(ctx) },
+      { priority: NIGHT_STEPS.WOLF_KILL, run: () => this.applyWolfKill(ctx) }
+    ];
     room.actions.forEach((data, actorId) => {
       const actor = room.players.find(p => p.id === actorId);
-      if (actor && actor.role === ROLE_TYPES.WITCH && actor.alive) {
-        const actions = Array.isArray(data) ? data : [data];
-        actions.forEach(action => {
-          console.log(`[WITCH_KILL] Witch action: type=${action.type}, targetId=${action.targetId}`);
-          if (action.type === 'KILL') {
-            if (!actor.attributes.hasKilled) {
-              const target = room.players.find(p => p.id === action.targetId);
-              if (target && target.alive) {
-                if (action.targetId === protectedTargetId) {
-                  // Don't reveal Bodyguard protection to players
-                  actor.attributes.hasKilled = true;
-                } else {
-                  target.alive = false;
-                  recordDeath(target);
-                  logs.push(`💀 ${target.name} đã chết một cách bí ẩn (Phù thủy).`);
-                  actor.attributes.hasKilled = true;
-                  console.log(`[WITCH_KILL] SUCCESS! Killed ${target.name}`);
-                }
-              }
-            }
+      if (!actor) return;
+
+      const actions = Array.isArray(data) ? data : [data];
+      actions.forEach(action => {
+        const def = getActionDef(actor.role, action.type);
+        if (!def || !getActionPhases(def).includes('night')) return;
+        steps.push({
+          priority: def.priority,
+          run: () => {
+            // Actor must still be alive when their step comes up
+            if (!actor.alive) return;
+            if (isAbilityUsed(actor, action.type)) return;
+            def.resolve(ctx, actor, action);
           }
         });
-      }
-    });
-
-    // 5. Seer Logic
-    if (detectiveTarget) { // Reusing variable name or create new? Let's fix variable checking
-      // Detective Code ...
-    }
-
-    // Separate loop for Seer to avoid variable mixup
-    room.actions.forEach((data, actorId) => {
-      const actor = room.players.find(p => p.id === actorId);
-      if (actor && actor.role === ROLE_TYPES.SEER && actor.alive && data.type === 'CHECK') {
-        const target = room.players.find(p => p.id === data.targetId);
-        if (target) {
-          // Log result. Ideally private.
-          const isWolf = target.faction === FACTIONS.WOLF;
-          logs.push(`🔮 Tiên tri soi: ${target.name} là ${isWolf ? 'SÓI 🐺' : 'NGƯỜI 🧑'}`);
-        }
-      }
+      });
     });
 
-    // 6. Detective Logic
-    // ... Existing Detective Code ...
-    if (detectiveTarget) {
-      const target = room.players.find(p => p.id === detectiveTarget);
-      if (target) {
-        const hasAction = [ROLE_TYPES.WOLF, ROLE_TYPES.ALPHA_WOLF, ROLE_TYPES.DETECTIVE, ROLE_TYPES.LAWYER, ROLE_TYPES.SEER, ROLE_TYPES.WITCH].includes(target.role);
-        const msg = hasAction ? "Mục tiêu CÓ hoạt động đêm nay." : "Mục tiêu KHÔNG hoạt động đêm nay.";
-        logs.push(`🔍 Thám tử soi: ${target.name} -> ${msg}`);
-      }
-    }
+    // 2. Resolve in priority order (sort is stable: same priority keeps submission order)
+    steps.sort((a, b) => a.priority - b.priority).forEach(step => step.run());
 
-
-    // 7. Hunter Death Check (If Hunter died tonight, kill pinned target)
-    // IMPORTANT: Process this BEFORE checkWin so deaths are counted
-    // Hunter death link is UNSTOPPABLE - bypasses Bodyguard protection
-    console.log(`[HUNTER] Checking death links`);
-    room.players.forEach(hunter => {
-      if (hunter.role === ROLE_TYPES.HUNTER) {
-        console.log(`[HUNTER] Found hunter ${hunter.name}: alive=${hunter.alive}, pinnedTargetId=${hunter.attributes.pinnedTargetId}`);
-      }
-      if (hunter.role === ROLE_TYPES.HUNTER && !hunter.alive && hunter.attributes.pinnedTargetId) {
-        const targetId = hunter.attributes.pinnedTargetId;
-        const target = room.players.find(p => p.id === targetId);
-        console.log(`[HUNTER] Death link check: target=${target?.name}, target.alive=${target?.alive}`);
-        if (target && target.alive) {
-          target.alive = false;
-          recordDeath(target);
-          logs.push(`🏹 Thợ săn ${hunter.name} chết đã kéo theo ${target.name}!`);
-          console.log(`[HUNTER] Death link triggered: ${target.name} dies with hunter`);
-        }
-      }
-    });
+    // 3. Death hooks (Hunter link) BEFORE checkWin so chained deaths are counted
+    this.runDeathHooks(ctx, room.players.filter(p => wasAlive.get(p.id) && !p.alive));
 
     // Cleanup
     room.actions.clear();
@@ -651,11 +1448,8 @@ class GameManager {
     this.checkWin(room);
 
     // Transition to day (unless game ended)
-    if (room.phase !== 'end') {
-      room.phase = 'day';
-      room.discussionReady = new Set();
-      room.pendingExecutionId = null;
-      room.finalVotes = new Map();
+    if (room.phase !== PHASES.END) {
+      this.setPhase(room, PHASES.DAY);
       room.actionLog.push(...logs);
     }
   }
@@ -663,13 +1457,16 @@ class GameManager {
   submitVote(roomCode, playerId, targetId) {
     const room = this.rooms.get(roomCode);
     if (!room || (room.phase !== 'vote' && room.phase !== 'final_verdict')) return null;
+    this.assertNotPaused(room);
 
     const player = room.players.find(p => p.id === playerId);
     if (player && player.alive) {
+      this.touchPlayer(room, player);
       if (room.phase === 'vote') {
         // Support SKIP votes (targetId can be "SKIP" or null)
         room.votes.set(playerId, targetId);
         player.hasVoted = true;
+        this.recordEvent(room, 'VOTE_CAST', { voterId: playerId, targetId });
 
         // Calculate current vote leader and get vote details
         const voteLeader = this.getVoteLeader(room);
@@ -681,6 +1478,7 @@ class GameManager {
         const choice = targetId === 'EXECUTE' ? 'EXECUTE' : 'SPARE';
         room.finalVotes.set(playerId, choice);
         player.hasVoted = true;
+        this.recordEvent(room, 'FINAL_VOTE_CAST', { voterId: playerId, choice });
 
         const totalVotes = room.players.filter(p => p.alive).length;
         const executeVotes = Array.from(room.finalVotes.values()).filter(v => v === 'EXECUTE').length;
@@ -750,13 +1548,19 @@ class GameManager {
   // This implies Lawyer submits this BEFORE vote resolution.
   submitLawyerProtect(roomCode, playerId, targetId) {
     const room = this.rooms.get(roomCode);
+    if (!room) throw new GameError(ERROR_CODES.ROOM_NOT_FOUND, 'Không tìm thấy phòng');
+    this.assertNotPaused(room);
+
     const player = room.players.find(p => p.id === playerId);
-    if (player && player.role === ROLE_TYPES.LAWYER && player.alive) {
-      if (!player.attributes.hasProtected) { // One time use
-        room.actions.set('LAWYER_PROTECT', targetId); // Gloal action key
-        player.attributes.hasProtected = true;
-      }
-    }
+    this.validateAction(room, player, 'LAWYER_PROTECT', targetId); // One time use, day/vote only
+    this.touchPlayer(room, player);
+
+    room.actions.set('LAWYER_PROTECT', { lawyerId: player.id, targetId }); // Global action key
+    markAbilityUsed(player, 'LAWYER_PROTECT');
+    this.recordEvent(room, 'ACTION_SUBMITTED', { actorId: player.id, actionType: 'LAWYER_PROTECT', targetId });
+
+    const target = room.players.find(p => p.id === targetId);
+    return { targetId, targetName: target.name };
   }
 
   resolveVote(room) {
@@ -780,19 +1584,44 @@ class GameManager {
     });
 
     console.log(`[resolveVote] Vote result: targetId=${targetId}, max votes=${max}`);
+    this.recordEvent(room, 'VOTE_RESOLVED', {
+      votes: Array.from(room.votes),
+      tally: Object.fromEntries(votes),
+      accusedId: targetId,
+      lawyerTargetId: room.actions.get('LAWYER_PROTECT')?.targetId || null
+    });
 
     room.executedPlayerId = null;
     room.pendingExecutionId = null;
-    room.defenseEndsAt = null;
 
     // Lawyer Intervention check BEFORE starting defense
-    const protectedId = room.actions.get('LAWYER_PROTECT');
+    const lawyerProtect = room.actions.get('LAWYER_PROTECT');
+
+    if (lawyerProtect) {
+      const lawyer = room.players.find(p => p.id === lawyerProtect.lawyerId);
+      const client = room.players.find(p => p.id === lawyerProtect.targetId);
+      const clientName = client?.name || 'Người chơi';
+      const worked = !!targetId && lawyerProtect.targetId === targetId;
+
+      if (worked) {
+        console.log(`[resolveVote] Lawyer protected ${clientName}`);
+        room.actionLog.push(`⚖️ Luật sư can thiệp! ${clientName} được miễn án tử.`);
+        targetId = null; // Cancel execution path
+      }
 
-    if (targetId && protectedId === targetId) {
-      const victim = room.players.find(p => p.id === targetId);
-      console.log(`[resolveVote] Lawyer protected ${victim?.name}`);
-      room.actionLog.push(`⚖️ Luật sư can thiệp! ${victim?.name || 'Người chơi'} được miễn án tử.`);
-      targetId = null; // Cancel execution path
+      // Tell the Lawyer (privately) whether the protection was needed
+      if (lawyer) {
+        this.addPrivateResult(room, lawyer, {
+          role: ROLE_TYPES.LAWYER,
+          actionType: 'LAWYER_PROTECT',
+          targetId: lawyerProtect.targetId,
+          targetName: clientName,
+          result: worked ? 'success' : 'unused',
+          message: worked
+            ? `⚖️ Bào chữa thành công: ${clientName} thoát án treo cổ.`
+            : `⚖️ Bào chữa không có tác dụng: ${clientName} không bị đưa ra xử.`
+        });
+      }
     }
 
     room.votes.clear();
@@ -802,14 +1631,12 @@ class GameManager {
       const victim = room.players.find(p => p.id === targetId);
       console.log(`[resolveVote] Starting defense for ${victim?.name}, setting phase=defense`);
       room.pendingExecutionId = targetId;
-      room.phase = 'defense';
-      room.defenseEndsAt = Date.now() + 30000;
+      this.setPhase(room, PHASES.DEFENSE);
       room.actionLog.push(`🛡️ ${victim?.name || 'Người chơi'} có 30s để biện hộ!`);
     } else {
       console.log(`[resolveVote] No target, skipping to execution_reveal`);
       room.actionLog.push('⚖️ Không ai bị treo cổ.');
-      room.day++;
-      room.phase = 'execution_reveal';
+      this.setPhase(room, PHASES.EXECUTION_REVEAL);
       room.actionLog.push('🗣️ Chuẩn bị công bố kết quả bầu cử...');
     }
 
@@ -818,17 +1645,15 @@ class GameManager {
   }
 
   startFinalVerdict(room) {
-    room.finalVotes = new Map();
     if (!room.pendingExecutionId) {
       room.actionLog.push('⚖️ Không có ai để xử.');
-      room.day++;
-      room.phase = 'execution_reveal';
+      this.setPhase(room, PHASES.EXECUTION_REVEAL);
       room.actionLog.push('🗣️ Chuẩn bị công bố kết quả bầu cử...');
       return;
     }
 
     const victim = room.players.find(p => p.id === room.pendingExecutionId);
-    room.phase = 'final_verdict';
+    this.setPhase(room, PHASES.FINAL_VERDICT);
     room.actionLog.push(`⚔️ Bỏ phiếu cuối: ${victim?.name || 'Người chơi'} có bị xử tử không?`);
   }
 
@@ -840,40 +1665,34 @@ class GameManager {
     const spareVotes = Array.from(room.finalVotes.values()).filter(v => v === 'SPARE').length;
 
     room.executedPlayerId = null;
+    this.recordEvent(room, 'VERDICT', {
+      playerId: victimId || null,
+      executed: !!victim && executeVotes > spareVotes,
+      executeVotes,
+      spareVotes
+    });
 
     if (victim && executeVotes > spareVotes) {
       victim.alive = false;
       room.executedPlayerId = victimId;
+      this.recordEvent(room, 'PLAYER_DIED', { playerId: victim.id, role: victim.role, cause: 'execution' });
       room.actionLog.push(`⚖️ Kết quả cuối: ${victim.name} bị xử tử (${executeVotes} vs ${spareVotes}).`);
 
-      if (victim.role === ROLE_TYPES.TRAITOR && room.day === 1) {
-        room.winner = 'TRAITOR';
-        room.actionLog.push(`🎭 Kẻ Phản Bội ${victim.name} THẮNG nhờ bị treo cổ!`);
-        room.phase = 'end';
-        return;
-      }
-
-      if (victim.role === ROLE_TYPES.HUNTER && victim.attributes.pinnedTargetId) {
-        const pinnedTarget = room.players.find(p => p.id === victim.attributes.pinnedTargetId);
-        if (pinnedTarget && pinnedTarget.alive) {
-          pinnedTarget.alive = false;
-          room.actionLog.push(`🏹 Thợ săn ${victim.name} chết đã kéo theo ${pinnedTarget.name}!`);
-        }
-      }
+      // Role death hooks (Hunter link) apply to executions too
+      const ctx = this.createResolutionContext(room, room.actionLog);
+      this.runDeathHooks(ctx, [victim]);
     } else if (victim) {
       room.actionLog.push(`🙏 ${victim.name} được tha (${executeVotes} vs ${spareVotes}).`);
     } else {
       room.actionLog.push('⚖️ Không có mục tiêu để xử.');
     }
 
-    this.checkWin(room);
-    if (room.phase === 'end') return;
+    // The execution is passed along for event-based wins (Traitor lynched)
+    this.checkWin(room, room.executedPlayerId ? { type: 'executed', playerId: room.executedPlayerId } : null);
+    if (room.phase === PHASES.END) return;
 
-    room.pendingExecutionId = null;
     room.finalVotes.clear();
-    room.discussionReady = new Set();
-    room.day++;
-    room.phase = 'execution_reveal';
+    this.setPhase(room, PHASES.EXECUTION_REVEAL);
     room.actionLog.push('🗣️ Chuẩn bị công bố kết quả bầu cử...');
   }
 
@@ -883,12 +1702,18 @@ class GameManager {
     if (!room) throw new Error('Không tìm thấy phòng');
     const host = room.players.find(p => p.id === hostId);
     if (!host || !host.isHost) throw new Error('Không có quyền Host');
+    this.assertNotPaused(room);
+
+    if (room.phase !== PHASES.LOBBY && room.phase !== PHASES.END) this.takeUndoSnapshot(room);
+
+    // A REMOVE-policy removal can end the game before the phase resolves
+    this.trackMissedTurns(room);
+    if (room.phase === PHASES.END) return room;
 
     if (room.phase === 'night') {
       this.resolveNight(room);
     } else if (room.phase === 'day') {
-      room.phase = 'vote';
-      room.discussionReady = new Set();
+      this.setPhase(room, PHASES.VOTE);
       room.actionLog.push('☀️ Thảo luận kết thúc. Bắt đầu bỏ phiếu!');
     } else if (room.phase === 'vote') {
       this.resolveVote(room);
@@ -899,34 +1724,130 @@ class GameManager {
       this.resolveFinalVerdict(room);
       // resolveFinalVerdict sets phase to 'execution_reveal' (unless game end)
     } else if (room.phase === 'execution_reveal') {
-      room.phase = 'night';
-      room.pendingExecutionId = null;
-      room.executedPlayerId = null;
-      room.lastNightDeaths = [];
+      this.setPhase(room, PHASES.NIGHT);
       room.actionLog.push('🌙 Màn đêm buông xuống...');
     }
 
     return room;
   }
 
+  // --- Pause & undo (host) ---
+
+  assertNotPaused(room) {
+    if (room.paused) throw new GameError(ERROR_CODES.GAME_PAUSED, 'Game đang tạm dừng');
+  }
+
+  // Freezes the game: the phase deadline stops and actions/votes are rejected until resume
+  pauseGame(roomCode, hostId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    if (room.phase === PHASES.LOBBY || room.phase === PHASES.END) throw new Error('Không có game đang chạy');
+    if (room.paused) throw new Error('Game đã tạm dừng');
+
+    // A timer the host had already stopped stays stopped after resume
+    room.paused = { since: Date.now(), resumeTimer: this.timers.pause(room) };
+    this.recordEvent(room, 'GAME_PAUSED', { by: hostId });
+    room.actionLog.push('⏸️ Host đã tạm dừng game.');
+    console.log(`[PAUSE] ${roomCode}: paused in ${room.phase}`);
+    return room;
+  }
+
+  resumeGame(roomCode, hostId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    if (!room.paused) throw new Error('Game không bị tạm dừng');
+
+    if (room.paused.resumeTimer) this.timers.resume(room);
+    room.paused = null;
+    this.recordEvent(room, 'GAME_RESUMED', { by: hostId });
+    room.actionLog.push('▶️ Game tiếp tục.');
+    console.log(`[PAUSE] ${roomCode}: resumed in ${room.phase}`);
+    return room;
+  }
+
+  // State right before the last advancePhase; one level only, cleared by the next game
+  takeUndoSnapshot(room) {
+    const timer = this.timers.view(room);
+    room.undoSnapshot = {
+      room: JSON.parse(JSON.stringify(this.serializeRoom(room))),
+      timerRemainingMs: timer ? timer.remainingMs : null
+    };
+  }
+
+  // Rolls the room back to the snapshot taken before the last advancePhase.
+  // Player alive flags, roles, attributes, votes, actions, logs and the replay event log
+  // all come back; connections, chat and room settings stay as they are now.
+  undoLastAdvance(roomCode, hostId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    if (!room.undoSnapshot) throw new Error('Không có bước nào để hoàn tác');
+    // The finished game was already saved as a replay and counted in the profiles
+    if (room.phase === PHASES.END) throw new Error('Không thể hoàn tác sau khi game đã kết thúc');
+
+    const { room: data, timerRemainingMs } = room.undoSnapshot;
+    const restored = this.deserializeRoom(data);
+    const undonePhase = room.phase;
+
+    const seats = new Map(room.players.map(p => [p.id, p]));
+    restored.players.forEach(p => {
+      const current = seats.get(p.id);
+      if (!current) return;
+      SEAT_FIELDS.forEach(key => {
+        if (current[key] === undefined) delete p[key];
+        else p[key] = current[key];
+      });
+    });
+    ['chatLogs', 'chatEnabled', 'aiHostEnabled', 'aiConfig', 'dayPhaseDuration', 'paused', 'hostLeftTimer', 'spectators', 'spectatorSettings', 'afkSettings', 'replacementSettings'].forEach(key => {
+      restored[key] = room[key];
+    });
+
+    // Same object, so every reference to the room sees the rollback
+    this.timers.clear(room);
+    Object.keys(room).forEach(key => { delete room[key]; });
+    Object.assign(room, restored, { undoSnapshot: null });
+
+    // The rolled-back phase gets the time it had left; a paused game keeps it frozen
+    if (timerRemainingMs !== null && room.timer) {
+      room.timer.endsAt = null;
+      room.timer.remainingMs = timerRemainingMs;
+      if (!room.paused) this.timers.resume(room);
+    } else {
+      room.timer = null;
+    }
+    if (room.paused) room.paused.resumeTimer = Boolean(room.timer);
+
+    this.recordEvent(room, 'ADVANCE_UNDONE', { by: hostId, from: undonePhase, to: room.phase });
+    room.actionLog.push(`↩️ Host đã hoàn tác, quay lại pha ${room.phase}.`);
+    console.log(`[UNDO] ${roomCode}: ${undonePhase} -> back to ${room.phase}`);
+    return room;
+  }
+
   endGame(roomCode, hostId) {
     const room = this.rooms.get(roomCode);
     if (!room) throw new Error('Không tìm thấy phòng');
     if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
 
+    // Game stopped before anyone won: keep what happened so far
+    this.recordEvent(room, 'GAME_ABORTED', { by: hostId });
+    this.finishReplay(room, 'aborted');
+
     // Reset to lobby instead of ending
-    room.phase = 'lobby';
+    this.setPhase(room, PHASES.LOBBY);
     room.day = 0;
     room.votes.clear();
     room.finalVotes.clear();
     room.discussionReady = new Set();
     room.pendingExecutionId = null;
-    room.defenseEndsAt = null;
     room.lastNightDeaths = [];
     room.actions.clear();
     room.winner = null;
+    room.paused = null;
+    room.undoSnapshot = null;
     room.actionLog = ['🔄 Host đã kết thúc game. Về Lobby.'];
-    room.chatLog = [];
+    room.chatLogs = createChatLogs();
 
     // Restore owner as host in lobby
     const owner = room.players.find(p => p.id === room.ownerId);
@@ -943,7 +1864,10 @@ class GameManager {
       p.alive = true;
       p.hasVoted = false;
       p.attributes = {};
+      p.privateResults = [];
     });
+    room.pendingPrivateResults = [];
+    this.releaseStandIns(room);
 
     return room;
   }
@@ -953,18 +1877,22 @@ class GameManager {
     if (!room) throw new Error('Không tìm thấy phòng');
     if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
 
-    room.phase = 'lobby';
+    this.recordEvent(room, 'GAME_ABORTED', { by: hostId });
+    this.finishReplay(room, 'aborted');
+
+    this.setPhase(room, PHASES.LOBBY);
     room.day = 0;
     room.votes.clear();
     room.finalVotes.clear();
     room.discussionReady = new Set();
     room.pendingExecutionId = null;
-    room.defenseEndsAt = null;
     room.lastNightDeaths = [];
     room.actions.clear();
     room.winner = null;
+    room.paused = null;
+    room.undoSnapshot = null;
     room.actionLog = ['🔄 Game đã được reset.'];
-    room.chatLog = [];
+    room.chatLogs = createChatLogs();
 
     // Restore owner as host in lobby
     const owner = room.players.find(p => p.id === room.ownerId);
@@ -981,7 +1909,10 @@ class GameManager {
       p.alive = true;
       p.hasVoted = false;
       p.attributes = {};
+      p.privateResults = [];
     });
+    room.pendingPrivateResults = [];
+    this.releaseStandIns(room);
 
     return room;
   }
@@ -1022,33 +1953,77 @@ class GameManager {
     return room;
   }
 
-  checkWin(room) {
+  setWolfConsensus(roomCode, hostId, mode) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    if (room.phase !== 'lobby') throw new Error('Chỉ có thể thay đổi trong Lobby');
+    if (!Object.values(WOLF_CONSENSUS_MODES).includes(mode)) throw new Error('Chế độ Sói không hợp lệ');
+
+    room.wolfConsensus = mode;
+    return room;
+  }
+
+  setRanked(roomCode, hostId, ranked) {
+    const room = this.rooms.get(roomCode);
+    if (!room) throw new Error('Không tìm thấy phòng');
+    if (!room.players.find(p => p.id === hostId && p.isHost)) throw new Error('Không có quyền Host');
+    if (room.phase !== 'lobby') throw new Error('Chỉ có thể thay đổi trong Lobby');
+
+    room.ranked = Boolean(ranked);
+    return room;
+  }
+
+  // Faction a player wins alongside (Traitor in wolf-ally mode wins with the wolves)
+  getWinningFaction(player) {
+    const role = getRole(player.role);
+    return role && role.winsWithFaction ? role.winsWithFaction(player) : player.faction;
+  }
+
+  declareWinner(room, winner) {
+    room.winner = winner;
+    this.setPhase(room, PHASES.END);
+    if (winner.message) room.actionLog.push(winner.message);
+
+    this.recordEvent(room, 'GAME_ENDED', { winner });
+    this.finishReplay(room, 'finished');
+  }
+
+  // Runs registered win conditions in priority order; the first match ends the game.
+  // event describes what triggered the check (e.g. { type: 'executed', playerId }).
+  checkWin(room, event = null) {
     // CRITICAL: Exclude Host from win condition checks
     // Host has alive=true but doesn't participate in the game
-    const wolves = room.players.filter(p => !p.isHost && p.alive && p.faction === FACTIONS.WOLF).length;
-    const others = room.players.filter(p => !p.isHost && p.alive && p.faction !== FACTIONS.WOLF).length;
-
-    console.log(`[WIN_CHECK] Wolves: ${wolves}, Others: ${others}`);
-
-    if (wolves === 0) {
-      room.winner = 'VILLAGERS';
-      room.phase = 'end';
-      room.actionLog.push('🏆 DÂN LÀNG CHIẾN THẮNG!');
-      console.log('[WIN_CHECK] Villagers win - no wolves left');
-    } else if (wolves >= others) {
-      room.winner = 'WOLVES';
-      room.phase = 'end';
-      room.actionLog.push('🐺 SÓI ĐÃ CHIẾN THẮNG!');
-      console.log('[WIN_CHECK] Wolves win - wolves >= others');
-    }
-
-    if (room.winner && room.aiHostEnabled) {
-      // clear timer on game end
-      if (room.phaseTimer) {
-        clearTimeout(room.phaseTimer);
-        room.phaseTimer = null;
-      }
+    const players = room.players.filter(p => !p.isHost);
+    const rolesInGame = new Set(players.map(p => p.role));
+    const state = {
+      room,
+      event,
+      players,
+      alive: players.filter(p => p.alive),
+      findPlayer: (id) => room.players.find(p => p.id === id) || null,
+      winningFaction: (player) => this.getWinningFaction(player),
+      idsOfFaction: (faction) => players.filter(p => this.getWinningFaction(p) === faction).map(p => p.id)
+    };
+
+    console.log(`[WIN_CHECK] Alive: ${state.alive.length}, Event: ${event ? event.type : 'none'}`);
+
+    for (const condition of listWinConditions()) {
+      if (condition.role && !rolesInGame.has(condition.role)) continue;
+
+      const result = condition.check(state);
+      if (!result) continue;
+
+      this.declareWinner(room, {
+        faction: condition.faction,
+        playerIds: result.winnerIds || [],
+        reason: result.reason || condition.id,
+        message: result.message || null
+      });
+      console.log(`[WIN_CHECK] ${condition.id} wins - ${room.winner.reason}`);
+      return room.winner;
     }
+    return null;
   }
 
   getActionStatus(roomCode) {
@@ -1057,20 +2032,21 @@ class GameManager {
 
     let total = 0;
     let submitted = 0;
+    // EXCLUDE policy: nobody waits for AFK players
+    const players = room.players.filter(p => !this.isExcludedAfk(room, p));
 
     if (room.phase === 'vote') {
-      total = room.players.filter(p => p.alive).length;
+      total = players.filter(p => p.alive).length;
       submitted = room.votes.size;
     } else if (room.phase === 'night') {
-      // All night roles must submit action (including Witch and Hunter)
-      const nightRoles = [ROLE_TYPES.ALPHA_WOLF, ROLE_TYPES.WOLF, ROLE_TYPES.DETECTIVE, ROLE_TYPES.SEER, ROLE_TYPES.WITCH, ROLE_TYPES.BODYGUARD, ROLE_TYPES.HUNTER];
-      const activePlayers = room.players.filter(p => p.alive && nightRoles.includes(p.role));
+      // All roles with a night action must submit (including Witch and Hunter)
+      const activePlayers = players.filter(p => p.alive && canActInPhase(room, p, 'night'));
       total = activePlayers.length;
       submitted = activePlayers.filter(p => room.actions.has(p.id)).length;
 
       console.log(`[getActionStatus] Night: submitted=${submitted}/${total}, active roles:`, activePlayers.map(p => `${p.name}(${p.role})`));
     } else if (room.phase === 'final_verdict') {
-      total = room.players.filter(p => p.alive).length;
+      total = players.filter(p => p.alive).length;
       submitted = room.finalVotes ? room.finalVotes.size : 0;
     }
 
@@ -1098,7 +2074,7 @@ class GameManager {
         // Add 2s delay so players can see their action confirmed before phase changes
         setTimeout(() => {
           const currentRoom = this.rooms.get(roomCode);
-          if (currentRoom && currentRoom.phase === 'night') {
+          if (currentRoom && currentRoom.phase === 'night' && !currentRoom.paused) {
             this.advancePhase(roomCode, hostId);
             if (onPhaseChange) onPhaseChange(roomCode);
           }
@@ -1107,7 +2083,7 @@ class GameManager {
       }
     }
     if (room.phase === 'day') {
-      const alive = room.players.filter(p => !p.isHost && p.alive).length;
+      const alive = room.players.filter(p => !p.isHost && p.alive && !this.isExcludedAfk(room, p)).length;
       const ready = room.discussionReady ? room.discussionReady.size : 0;
       console.log(`[maybeAutoAdvance] day phase: ready=${ready}/${alive}`);
       if (alive > 0 && ready >= alive) {
@@ -1115,7 +2091,7 @@ class GameManager {
         // Add small delay for UI feedback
         setTimeout(() => {
           const currentRoom = this.rooms.get(roomCode);
-          if (currentRoom && currentRoom.phase === 'day') {
+          if (currentRoom && currentRoom.phase === 'day' && !currentRoom.paused) {
             console.log(`[maybeAutoAdvance] Advancing from day phase NOW`);
             this.advancePhase(roomCode, hostId);
             if (onPhaseChange) onPhaseChange(roomCode);
@@ -1133,15 +2109,13 @@ class GameManager {
         console.log(`[maybeAutoAdvance] Vote phase complete! Scheduling advance in 1.5s`);
         setTimeout(() => {
           const currentRoom = this.rooms.get(roomCode);
-          if (currentRoom && currentRoom.phase === 'vote') {
+          if (currentRoom && currentRoom.phase === 'vote' && !currentRoom.paused) {
             console.log(`[maybeAutoAdvance] Advancing from vote phase NOW`);
             this.advancePhase(roomCode, hostId);
             if (onPhaseChange) {
               console.log(`[maybeAutoAdvance] Calling onPhaseChange callback`);
               onPhaseChange(roomCode);
             }
-            // CRITICAL: Schedule timer for next phase (Defense)
-            this.schedulePhaseTimer(currentRoom, onPhaseChange);
           } else {
             console.log(`[maybeAutoAdvance] SKIP advance: currentPhase=${currentRoom?.phase}`);
           }
@@ -1150,16 +2124,14 @@ class GameManager {
       }
     }
     if (room.phase === 'final_verdict') {
-      const alive = room.players.filter(p => !p.isHost && p.alive).length;
+      const alive = room.players.filter(p => !p.isHost && p.alive && !this.isExcludedAfk(room, p)).length;
       const submitted = room.finalVotes ? room.finalVotes.size : 0;
       if (alive > 0 && submitted >= alive) {
         setTimeout(() => {
           const currentRoom = this.rooms.get(roomCode);
-          if (currentRoom && currentRoom.phase === 'final_verdict') {
+          if (currentRoom && currentRoom.phase === 'final_verdict' && !currentRoom.paused) {
             this.advancePhase(roomCode, hostId);
             if (onPhaseChange) onPhaseChange(roomCode);
-            // CRITICAL: Schedule timer for next phase
-            this.schedulePhaseTimer(currentRoom, onPhaseChange);
           }
         }, 1500);
         return;
@@ -1169,15 +2141,27 @@ class GameManager {
 
   // Getters & Helpers matching old API to avoid breaking server.js too much
   getRoom(roomCode) { return this.rooms.get(roomCode); }
+  // Hand over (and clear) private results queued since the last phase change
+  takePrivateResults(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room || !room.pendingPrivateResults) return [];
+    const results = room.pendingPrivateResults;
+    room.pendingPrivateResults = [];
+    return results;
+  }
   resetAliveState(room) {
     if (!room) return;
     room.players.forEach(p => {
       // Even host/aiHost can safely be marked alive here; isHost is excluded in win/role counts
       p.alive = true;
-      p.connected = true;
       p.hasVoted = false;
       p.attributes = {};
+      p.privateResults = [];
+      p.missedPhases = 0;
+      p.afk = false;
     });
+    room.pendingPrivateResults = [];
+    room.pendingAfkNotices = [];
   }
   getPlayerView(roomCode, playerId) {
     const room = this.rooms.get(roomCode);
@@ -1193,6 +2177,9 @@ class GameManager {
       }
     }
 
+    const spectator = this.getSpectator(room, playerId);
+    if (spectator) return this.getSpectatorView(room, spectator);
+
     const requestingPlayer = room.players.find(p => p.id === playerId);
     const isHost = requestingPlayer?.isHost || false;
     const isDead = requestingPlayer ? !requestingPlayer.alive : false;
@@ -1200,26 +2187,30 @@ class GameManager {
     // Dead players and hosts see everything
     const canSeeAll = isHost || isDead;
 
+    // Never expose other players' queued private results or chat channels (sent via CHAT_SYNC),
+    // nor anything that holds every role: the event log, the undo snapshot, and the seed and
+    // RNG the deal was shuffled with (the seed is only published in the finished replay)
+    const { pendingPrivateResults, pendingAfkNotices, chatLogs, events, undoSnapshot, spectators, spectatorSnapshot, seed, rng, ...publicRoom } = room;
+
     return {
-      ...room,
+      ...publicRoom,
+      spectatorCount: room.spectators.length,
+      // Only the requesting player's own Seer/Detective results
+      privateResults: requestingPlayer?.privateResults || [],
       players: room.players.map(p => ({
         id: p.id,
         name: p.name,
         connected: p.connected,
         isHost: p.isHost,
         alive: p.alive,
+        isBot: Boolean(p.isBot),
+        afk: Boolean(p.afk),
+        standIn: p.standIn || null,
         // Show role if: self, end game, host, OR dead player
         role: (p.id === playerId || room.phase === 'end' || canSeeAll) ? p.role : '???'
       }))
     };
   }
-  handleDisconnect(roomCode, pid) {
-    const room = this.rooms.get(roomCode);
-    if (room) {
-      const p = room.players.find(i => i.id === pid);
-      if (p) p.connected = false;
-    }
-  }
 
   kickPlayer(roomCode, hostId, targetId) {
     const room = this.rooms.get(roomCode);
@@ -1247,4 +2238,4 @@ class GameManager {
   }
 }
 
-module.exports = { GameManager, ROLE_TYPES };
+module.exports = { GameManager, ROLE_TYPES, FACTIONS, CHAT_CHANNELS, SPECTATOR_VIEWS, SPECTATOR_CHAT, AFK_POLICIES, BOT_LEVELS, REPLACEMENT_MODES };
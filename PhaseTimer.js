@@ -0,0 +1,106 @@
+/**
+ * PhaseTimer - One authoritative deadline per room
+ * The deadline lives on room.timer (plain data: saved with the room, sent to clients);
+ * only the setTimeout handle is kept here.
+ *
+ * room.timer = { phase, endsAt, remainingMs, autoAdvance }
+ *   endsAt: absolute deadline (ms), null while paused
+ *   remainingMs: time left when paused, null while running
+ *   autoAdvance: onExpire fires at the deadline; otherwise the deadline is only shown
+ */
+class PhaseTimer {
+    // onExpire(roomCode, phase) is called when an autoAdvance deadline is reached
+    constructor({ onExpire }) {
+        this.onExpire = onExpire;
+        this.handles = new Map(); // roomCode -> timeout
+    }
+
+    start(room, durationMs, { autoAdvance = true } = {}) {
+        this.disarm(room);
+        room.timer = {
+            phase: room.phase,
+            endsAt: Date.now() + durationMs,
+            remainingMs: null,
+            autoAdvance
+        };
+        this.arm(room);
+    }
+
+    clear(room) {
+        this.disarm(room);
+        room.timer = null;
+    }
+
+    pause(room) {
+        const timer = room.timer;
+        if (!timer || timer.endsAt === null) return false;
+        this.disarm(room);
+        timer.remainingMs = Math.max(0, timer.endsAt - Date.now());
+        timer.endsAt = null;
+        return true;
+    }
+
+    resume(room) {
+        const timer = room.timer;
+        if (!timer || timer.endsAt !== null) return false;
+        timer.endsAt = Date.now() + timer.remainingMs;
+        timer.remainingMs = null;
+        this.arm(room);
+        return true;
+    }
+
+    // Negative ms shortens the deadline, down to "now"
+    extend(room, ms) {
+        const timer = room.timer;
+        if (!timer) return false;
+        if (timer.endsAt === null) {
+            timer.remainingMs = Math.max(0, timer.remainingMs + ms);
+        } else {
+            timer.endsAt = Math.max(Date.now(), timer.endsAt + ms);
+            this.arm(room);
+        }
+        return true;
+    }
+
+    // Re-arm a deadline restored from disk (a passed deadline fires right away)
+    restore(room) {
+        if (room.timer && room.timer.phase !== room.phase) room.timer = null;
+        this.arm(room);
+    }
+
+    // What clients need to draw the countdown; `now` lets them correct for clock skew
+    view(room) {
+        const timer = room.timer;
+        if (!timer) return null;
+        return {
+            phase: timer.phase,
+            endsAt: timer.endsAt,
+            paused: timer.endsAt === null,
+            remainingMs: timer.endsAt === null ? timer.remainingMs : Math.max(0, timer.endsAt - Date.now()),
+            autoAdvance: timer.autoAdvance,
+            now: Date.now()
+        };
+    }
+
+    arm(room) {
+        this.disarm(room);
+        const timer = room.timer;
+        if (!timer || !timer.autoAdvance || timer.endsAt === null) return;
+
+        const handle = setTimeout(() => {
+            this.handles.delete(room.roomCode);
+            this.onExpire(room.roomCode, timer.phase);
+        }, Math.max(0, timer.endsAt - Date.now()));
+        // Never keep the process alive just for a deadline (tests, simulator)
+        if (handle.unref) handle.unref();
+        this.handles.set(room.roomCode, handle);
+    }
+
+    disarm(room) {
+        const handle = this.handles.get(room.roomCode);
+        if (handle) clearTimeout(handle);
+        this.handles.delete(room.roomCode);
+    }
+}
+
+module.exports = { PhaseTimer };
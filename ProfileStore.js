@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const { JsonFileBackend } = require('./RoomStore');
+const { DEFAULT_RATING, computeRatingChanges } = require('./rating');
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function emptyStats() {
+    return {
+        gamesPlayed: 0,
+        wins: 0,
+        survived: 0,
+        byFaction: {}, // faction -> { played, wins }
+        byRole: {}, // role -> { played, wins }
+        votes: { total: 0, correct: 0 }
+    };
+}
+
+function bump(bucket, key, won) {
+    if (!bucket[key]) bucket[key] = { played: 0, wins: 0 };
+    bucket[key].played++;
+    if (won) bucket[key].wins++;
+}
+
+function rate(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+}
+
+/**
+ * Day votes of a finished game, judged per voter
+ * Only each voter's last vote of a day counts; a vote is correct when it
+ * targets someone of another faction (factions as they were at that moment)
+ */
+function tallyVotes(events) {
+    const factions = new Map();
+    const lastVotes = new Map(); // `${day}:${voterId}` -> { voterId, correct }
+
+    events.forEach(e => {
+        if (e.type === 'ROLE_ASSIGNED') factions.set(e.data.playerId, e.data.faction);
+        if (e.type === 'PLAYER_CONVERTED') factions.set(e.data.playerId, e.data.faction);
+        if (e.type === 'VOTE_CAST') {
+            const { voterId, targetId } = e.data;
+            const key = `${e.day}:${voterId}`;
+            if (!targetId || targetId === 'SKIP') {
+                lastVotes.delete(key);
+                return;
+            }
+            lastVotes.set(key, { voterId, correct: factions.get(targetId) !== factions.get(voterId) });
+        }
+    });
+
+    const perVoter = new Map(); // voterId -> { total, correct }
+    lastVotes.forEach(({ voterId, correct }) => {
+        if (!perVoter.has(voterId)) perVoter.set(voterId, { total: 0, correct: 0 });
+        const entry = perVoter.get(voterId);
+        entry.total++;
+        if (correct) entry.correct++;
+    });
+    return perVoter;
+}
+
+/**
+ * ProfileStore - Optional player profiles and their career stats
+ * A profile is a name plus a secret key; only the key's hash is stored
+ * Saves are debounced like RoomStore's: a burst of changes becomes one write
+ */
+class ProfileStore {
+    constructor(backend, debounceMs = 500) {
+        this.backend = backend; // null = in-memory only
+        this.debounceMs = debounceMs;
+        this.saveTimer = null;
+        this.profiles = new Map();
+
+        if (backend) {
+            try {
+                const data = backend.load();
+                (data && data.profiles || []).forEach(p => this.profiles.set(p.id, p));
+            } catch (error) {
+                console.error('[PROFILES] Load failed, starting empty:', error.message);
+            }
+        }
+    }
+
+    scheduleSave() {
+        if (!this.backend || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+
+    /**
+     * Write pending changes immediately (shutdown)
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.backend) return;
+        try {
+            this.backend.save({ version: 1, profiles: Array.from(this.profiles.values()) });
+        } catch (error) {
+            console.error('[PROFILES] Save failed:', error.message);
+        }
+    }
+
+    /**
+     * Returns { profileId, key } - the key is shown once and never stored
+     */
+    create(name) {
+        const profileId = nanoid(12);
+        const key = nanoid(32);
+        this.profiles.set(profileId, {
+            id: profileId,
+            name,
+            keyHash: hashKey(key),
+            createdAt: Date.now(),
+            rating: DEFAULT_RATING,
+            ratedGames: 0,
+            stats: emptyStats()
+        });
+        this.scheduleSave();
+        console.log(`[PROFILES] Created ${profileId} (${name})`);
+        return { profileId, key };
+    }
+
+    /**
+     * Profile id if the key matches, null otherwise
+     */
+    verify(profileId, key) {
+        const profile = this.profiles.get(profileId);
+        if (!profile || !key) return null;
+        const expected = Buffer.from(profile.keyHash, 'hex');
+        const actual = Buffer.from(hashKey(key), 'hex');
+        return crypto.timingSafeEqual(expected, actual) ? profile.id : null;
+    }
+
+    /**
+     * Add a finished game's results to every profiled player in it
+     * Ratings only move when the room played ranked
+     */
+    recordGame(replay) {
+        if (replay.status !== 'finished' || !replay.winner) return;
+
+        const winnerIds = new Set(replay.winner.playerIds || []);
+        const votes = tallyVotes(replay.events || []);
+        let updated = 0;
+
+        replay.players.forEach(p => {
+            const profile = p.profileId && this.profiles.get(p.profileId);
+            if (!profile) return;
+
+            const won = winnerIds.has(p.id);
+            const stats = profile.stats;
+            stats.gamesPlayed++;
+            if (won) stats.wins++;
+            if (p.alive) stats.survived++;
+            bump(stats.byFaction, p.faction, won);
+            bump(stats.byRole, p.role, won);
+
+            const playerVotes = votes.get(p.id);
+            if (playerVotes) {
+                stats.votes.total += playerVotes.total;
+                stats.votes.correct += playerVotes.correct;
+            }
+            updated++;
+        });
+
+        if (replay.ranked !== false) this.applyRatings(replay, winnerIds);
+
+        if (updated > 0) {
+            this.scheduleSave();
+            console.log(`[PROFILES] Recorded ${replay.gameId} for ${updated} profile(s)`);
+        }
+    }
+
+    applyRatings(replay, winnerIds) {
+        const players = replay.players.map(p => {
+            const profile = p.profileId && this.profiles.get(p.profileId);
+            return { id: p.id, faction: p.faction, profile, rating: profile ? profile.rating : undefined };
+        });
+
+        const changes = computeRatingChanges(players, Array.from(winnerIds));
+        players.forEach(p => {
+            if (!p.profile || !changes.has(p.id)) return;
+            p.profile.rating = (p.profile.rating ?? DEFAULT_RATING) + changes.get(p.id);
+            p.profile.ratedGames = (p.profile.ratedGames || 0) + 1;
+        });
+    }
+
+    /**
+     * Top rated profiles (at least one ranked game), best first
+     */
+    leaderboard(limit = 50) {
+        return Array.from(this.profiles.values())
+            .filter(p => p.ratedGames > 0)
+            .sort((a, b) => b.rating - a.rating || b.ratedGames - a.ratedGames)
+            .slice(0, limit)
+            .map((p, index) => ({
+                rank: index + 1,
+                profileId: p.id,
+                name: p.name,
+                rating: p.rating,
+                ratedGames: p.ratedGames,
+                winRate: rate(p.stats.wins, p.stats.gamesPlayed)
+            }));
+    }
+
+    /**
+     * Public view of a profile (no key hash) with derived rates
+     */
+    getStats(profileId) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return null;
+
+        const s = profile.stats;
+        const withRate = bucket => Object.fromEntries(
+            Object.entries(bucket).map(([k, v]) => [k, { ...v, winRate: rate(v.wins, v.played) }])
+        );
+
+        return {
+            profileId: profile.id,
+            name: profile.name,
+            createdAt: profile.createdAt,
+            rating: profile.rating ?? DEFAULT_RATING,
+            ratedGames: profile.ratedGames || 0,
+            gamesPlayed: s.gamesPlayed,
+            wins: s.wins,
+            winRate: rate(s.wins, s.gamesPlayed),
+            survivalRate: rate(s.survived, s.gamesPlayed),
+            byFaction: withRate(s.byFaction),
+            byRole: withRate(s.byRole),
+            votes: { ...s.votes, accuracy: rate(s.votes.correct, s.votes.total) }
+        };
+    }
+}
+
+/**
+ * PROFILE_STORE_FILE overrides the JSON path (default: data/profiles.json)
+ * ROOM_STORE=none also keeps profiles in memory only
+ */
+function createProfileStore(env = process.env) {
+    if ((env.ROOM_STORE || 'json').toLowerCase() === 'none') return new ProfileStore(null);
+    const filePath = env.PROFILE_STORE_FILE || path.join(__dirname, 'data', 'profiles.json');
+    return new ProfileStore(new JsonFileBackend(filePath));
+}
+
+module.exports = { ProfileStore, createProfileStore };
@@ -6,6 +6,7 @@ class RateLimiter {
     constructor() {
         this.chatLimits = new Map(); // socketId -> last message timestamp
         this.actionLimits = new Map(); // socketId -> last action timestamp
+        this.profileLimits = new Map(); // client IP -> profile creation timestamps in the current window
         this.afkTimers = new Map(); // socketId -> timeout
     }
 
@@ -72,19 +73,49 @@ class RateLimiter {
         return { allowed: true };
     }
 
+    /**
+     * Check if an HTTP client may create another profile
+     * Returns { allowed: boolean, waitTime: number }
+     */
+    checkProfileLimit(clientId) {
+        const now = Date.now();
+        const PROFILE_WINDOW = 10 * 60 * 1000; // 10 minutes
+        const MAX_PROFILES = 10; // per window: a group behind one Wi-Fi still gets in
+
+        // HTTP clients never disconnect, so forget creations older than the window
+        this.profileLimits.forEach((times, id) => {
+            const recent = times.filter(time => now - time < PROFILE_WINDOW);
+            if (recent.length > 0) this.profileLimits.set(id, recent);
+            else this.profileLimits.delete(id);
+        });
+
+        const created = this.profileLimits.get(clientId) || [];
+        if (created.length >= MAX_PROFILES) {
+            return {
+                allowed: false,
+                waitTime: Math.ceil((PROFILE_WINDOW - (now - created[0])) / 1000)
+            };
+        }
+
+        this.profileLimits.set(clientId, [...created, now]);
+        return { allowed: true, waitTime: 0 };
+    }
+
     /**
      * Reset AFK timer for a player
+     * delayMs defaults to 2 minutes
      */
-    resetAFKTimer(socketId, callback) {
+    resetAFKTimer(socketId, callback, delayMs = 120000) {
         // Clear existing timer
         if (this.afkTimers.has(socketId)) {
             clearTimeout(this.afkTimers.get(socketId));
         }
 
-        // Set new timer (2 minutes)
         const timer = setTimeout(() => {
+            this.afkTimers.delete(socketId);
             callback(socketId);
-        }, 120000); // 2 minutes
+        }, delayMs);
+        if (timer.unref) timer.unref();
 
         this.afkTimers.set(socketId, timer);
     }
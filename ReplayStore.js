@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// Replay ids are nanoids: anything else never touches the filesystem
+const REPLAY_ID_PATTERN = /^[A-Za-z0-9_-]{6,32}$/;
+
+// What GET /api/replays shows for each game
+function summarize(replay) {
+    return {
+        gameId: replay.gameId,
+        roomCode: replay.roomCode,
+        status: replay.status,
+        startedAt: replay.startedAt,
+        endedAt: replay.endedAt,
+        winner: replay.winner,
+        playerCount: replay.players.length
+    };
+}
+
+/**
+ * ReplayStore - Finished games' event logs, one JSON file per game
+ * Listing uses an in-memory index of summaries: the folder is read once,
+ * asynchronously, on the first list() and every save() adds to it
+ */
+class ReplayStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.index = new Map(); // roomCode -> Map gameId -> summary
+        this.indexing = null; // promise of the first folder scan
+    }
+
+    addToIndex(summary) {
+        if (!this.index.has(summary.roomCode)) this.index.set(summary.roomCode, new Map());
+        const games = this.index.get(summary.roomCode);
+        if (!games.has(summary.gameId)) games.set(summary.gameId, summary);
+    }
+
+    save(replay) {
+        if (!REPLAY_ID_PATTERN.test(replay.gameId)) throw new Error('Invalid replay id');
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, `${replay.gameId}.json`), JSON.stringify(replay));
+        this.addToIndex(summarize(replay));
+        console.log(`[REPLAY] Saved ${replay.gameId} (${replay.status}, ${replay.events.length} events)`);
+    }
+
+    /**
+     * Returns the replay or null if it does not exist
+     */
+    load(gameId) {
+        if (!REPLAY_ID_PATTERN.test(String(gameId))) return null;
+        const filePath = path.join(this.dir, `${gameId}.json`);
+        if (!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    // Replays saved before this process started
+    async scanFolder() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            return; // no replays yet
+        }
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                this.addToIndex(summarize(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'))));
+            } catch (error) {
+                console.warn(`[REPLAY] Skipping unreadable ${file}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Summaries of a room's saved games, newest first
+     */
+    async list(roomCode) {
+        if (!this.indexing) this.indexing = this.scanFolder();
+        await this.indexing;
+        return Array.from((this.index.get(roomCode) || new Map()).values())
+            .sort((a, b) => b.endedAt - a.endedAt);
+    }
+}
+
+/**
+ * REPLAY_DIR overrides the folder (default: data/replays)
+ */
+function createReplayStore(env = process.env) {
+    return new ReplayStore(env.REPLAY_DIR || path.join(__dirname, 'data', 'replays'));
+}
+
+module.exports = { ReplayStore, createReplayStore };
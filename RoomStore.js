@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JsonFileBackend - Stores the room snapshot as one JSON file
+ * A backend implements load() -> snapshot | null and save(snapshot)
+ */
+class JsonFileBackend {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return null;
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    save(snapshot) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write then rename so a crash mid-write never leaves a half-written file
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+/**
+ * RoomStore - Durable room snapshots
+ * Saves are debounced: many state changes in a burst become one write
+ */
+class RoomStore {
+    constructor(backend, debounceMs = 500) {
+        this.backend = backend; // null = persistence disabled
+        this.debounceMs = debounceMs;
+        this.saveTimer = null;
+        this.getSnapshot = null;
+    }
+
+    load() {
+        if (!this.backend) return null;
+        try {
+            return this.backend.load();
+        } catch (error) {
+            console.error('[ROOM_STORE] Load failed, starting empty:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Queue a save; getSnapshot runs when the save happens, not now
+     */
+    scheduleSave(getSnapshot) {
+        if (!this.backend) return;
+        this.getSnapshot = getSnapshot;
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+
+    /**
+     * Write any queued snapshot immediately (shutdown)
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.backend || !this.getSnapshot) return;
+
+        try {
+            this.backend.save(this.getSnapshot());
+        } catch (error) {
+            console.error('[ROOM_STORE] Save failed:', error.message);
+        }
+        this.getSnapshot = null;
+    }
+}
+
+/**
+ * ROOM_STORE=json (default) | none
+ * ROOM_STORE_FILE overrides the JSON path (default: data/rooms.json)
+ */
+function createRoomStore(env = process.env) {
+    const kind = (env.ROOM_STORE || 'json').toLowerCase();
+    if (kind === 'none') return new RoomStore(null);
+    if (kind !== 'json') {
+        console.warn(`[ROOM_STORE] Unknown backend "${kind}", persistence disabled`);
+        return new RoomStore(null);
+    }
+    const filePath = env.ROOM_STORE_FILE || path.join(__dirname, 'data', 'rooms.json');
+    return new RoomStore(new JsonFileBackend(filePath));
+}
+
+module.exports = { RoomStore, JsonFileBackend, createRoomStore };
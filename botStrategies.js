@@ -0,0 +1,127 @@
+/**
+ * Decision strategies shared by the simulator (simulate.js) and bot players (BotController.js)
+ * Strategies decide for one player at a time
+ *   night(sim, player, actionType, def) -> targetId | [ids] | null (null = don't act)
+ *   lawyer(sim, player) -> targetId | null
+ *   vote(sim, player) -> targetId | 'SKIP'
+ *   verdict(sim, player, accusedId) -> 'EXECUTE' | 'SPARE'
+ * sim = { manager, room, rng, known, wolfTarget, alive(), findPlayer(id) }
+ *   known: playerId -> faction, what this player may act on (Seer results)
+ *   wolfTarget: the pack's pick for tonight, shared by the wolves
+ */
+const { FACTIONS } = require('./roles');
+
+const pick = (rng, list) => (list.length ? list[Math.floor(rng() * list.length)] : null);
+
+const randomStrategy = {
+    night(sim, player, actionType, def) {
+        if (sim.rng() < 0.3) return null;
+        const candidates = sim.alive().filter(p => def.allowSelf || p.id !== player.id);
+        if ((def.targets || 1) > 1) {
+            const first = pick(sim.rng, candidates);
+            const second = pick(sim.rng, candidates.filter(p => p !== first));
+            return first && second ? [first.id, second.id] : null;
+        }
+        const target = pick(sim.rng, candidates);
+        return target ? target.id : null;
+    },
+    lawyer(sim, player) {
+        if (sim.rng() < 0.5) return null;
+        const target = pick(sim.rng, sim.alive());
+        return target ? target.id : null;
+    },
+    vote(sim, player) {
+        if (sim.rng() < 0.1) return 'SKIP';
+        const target = pick(sim.rng, sim.alive().filter(p => p.id !== player.id));
+        return target ? target.id : 'SKIP';
+    },
+    verdict(sim) {
+        return sim.rng() < 0.5 ? 'EXECUTE' : 'SPARE';
+    }
+};
+
+const isWolf = (p) => p.faction === FACTIONS.WOLF;
+
+const smartStrategy = {
+    night(sim, player, actionType, def) {
+        const others = sim.alive().filter(p => p.id !== player.id);
+        const knownWolves = others.filter(p => sim.known.get(p.id) === FACTIONS.WOLF);
+
+        if (isWolf(player) && actionType === 'KILL') {
+            // The pack agrees on one target per night (a kicked or replaced pick is gone from the room)
+            const current = sim.wolfTarget && sim.findPlayer(sim.wolfTarget);
+            if (!current || !current.alive) {
+                const target = pick(sim.rng, others.filter(p => !isWolf(p)));
+                sim.wolfTarget = target ? target.id : null;
+            }
+            return sim.wolfTarget;
+        }
+        if (isWolf(player) && actionType === 'CURSE') {
+            // The curse replaces this wolf's own KILL vote: only when another wolf's KILL covers the target
+            const covered = sim.alive().some(p => {
+                const action = p.id !== player.id && isWolf(p) && sim.room.actions.get(p.id);
+                return action && action.type === 'KILL' && action.targetId === sim.wolfTarget;
+            });
+            return covered && sim.rng() < 0.3 ? sim.wolfTarget : null;
+        }
+
+        switch (actionType) {
+            case 'PAIR': {
+                const first = pick(sim.rng, sim.alive());
+                const second = pick(sim.rng, sim.alive().filter(p => p !== first));
+                return first && second ? [first.id, second.id] : null;
+            }
+            case 'CHECK': {
+                const unknown = others.filter(p => !sim.known.has(p.id));
+                const target = pick(sim.rng, unknown.length ? unknown : others);
+                return target ? target.id : null;
+            }
+            case 'SAVE': {
+                // Witch sees the wolf tally; always saves herself, others half the time
+                const tally = sim.manager.getWolfTally(sim.room.roomCode);
+                const targetId = tally && tally.targetId;
+                if (!targetId) return null;
+                return targetId === player.id || sim.rng() < 0.5 ? targetId : null;
+            }
+            case 'KILL': {
+                const target = pick(sim.rng, knownWolves);
+                return target ? target.id : null;
+            }
+            case 'PIN': {
+                const target = pick(sim.rng, knownWolves.length ? knownWolves : others);
+                return target ? target.id : null;
+            }
+            default: {
+                const candidates = def.allowSelf ? sim.alive() : others;
+                const target = pick(sim.rng, candidates);
+                return target ? target.id : null;
+            }
+        }
+    },
+    lawyer(sim, player) {
+        if (sim.rng() < 0.7) return null;
+        const target = pick(sim.rng, sim.alive().filter(p => sim.known.get(p.id) !== FACTIONS.WOLF));
+        return target ? target.id : null;
+    },
+    vote(sim, player) {
+        const others = sim.alive().filter(p => p.id !== player.id);
+        if (isWolf(player)) {
+            const target = pick(sim.rng, others.filter(p => !isWolf(p)));
+            return target ? target.id : 'SKIP';
+        }
+        const knownWolf = pick(sim.rng, others.filter(p => sim.known.get(p.id) === FACTIONS.WOLF));
+        if (knownWolf) return knownWolf.id;
+        const target = pick(sim.rng, others.filter(p => !sim.known.has(p.id)));
+        return target ? target.id : 'SKIP';
+    },
+    verdict(sim, player, accusedId) {
+        const accused = sim.findPlayer(accusedId);
+        if (accusedId === player.id) return 'SPARE';
+        if (isWolf(player)) return isWolf(accused) ? 'SPARE' : 'EXECUTE';
+        return sim.known.get(accusedId) === FACTIONS.VILLAGER ? 'SPARE' : 'EXECUTE';
+    }
+};
+
+const STRATEGIES = { smart: smartStrategy, random: randomStrategy };
+
+module.exports = { STRATEGIES, randomStrategy, smartStrategy, isWolf, pick };
@@ -0,0 +1,27 @@
+/**
+ * GameError - Error with a machine-readable code
+ * Clients get both: { code, message } via the ERROR event
+ */
+class GameError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'GameError';
+        this.code = code;
+    }
+}
+
+const ERROR_CODES = {
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    INVALID_PLAYER: 'INVALID_PLAYER',
+    ACTION_NOT_ALLOWED: 'ACTION_NOT_ALLOWED', // Role has no such action
+    WRONG_PHASE: 'WRONG_PHASE',
+    ABILITY_UNAVAILABLE: 'ABILITY_UNAVAILABLE', // Role rule forbids it right now (e.g. Cupid after night 1)
+    ABILITY_USED: 'ABILITY_USED', // One-shot ability already spent
+    INVALID_TARGET: 'INVALID_TARGET',
+    TARGET_NOT_ALIVE: 'TARGET_NOT_ALIVE',
+    SELF_TARGET: 'SELF_TARGET',
+    INVALID_TRANSITION: 'INVALID_TRANSITION', // Phase change not in the state machine (see phases.js)
+    GAME_PAUSED: 'GAME_PAUSED' // Host paused the game
+};
+
+module.exports = { GameError, ERROR_CODES };
@@ -0,0 +1,108 @@
+const { GameError, ERROR_CODES } = require('./errors');
+
+/**
+ * Phase state machine
+ * Every change of room.phase goes through GameManager.setPhase(), which checks
+ * this table, runs the exit/enter hooks and records one PHASE_CHANGED event.
+ */
+const PHASES = {
+    LOBBY: 'lobby',
+    NIGHT: 'night',
+    DAY: 'day',
+    VOTE: 'vote',
+    DEFENSE: 'defense',
+    FINAL_VERDICT: 'final_verdict',
+    EXECUTION_REVEAL: 'execution_reveal',
+    END: 'end'
+};
+
+const hasAccused = room => Boolean(room.pendingExecutionId);
+
+/**
+ * to: phases reachable from this one. Any phase may go back to lobby (host ends/resets the game).
+ * guards: target phase -> (room) => error message, or null when the move is allowed.
+ * enter/exit: state that belongs to the phase itself; game logic stays in GameManager.
+ */
+const TRANSITIONS = {
+    [PHASES.LOBBY]: {
+        to: [PHASES.NIGHT],
+        guards: {
+            [PHASES.NIGHT]: room => (room.players.some(p => !p.isHost && p.role) ? null : 'Chưa chia vai')
+        }
+    },
+    [PHASES.NIGHT]: {
+        to: [PHASES.DAY, PHASES.END],
+        enter: room => {
+            room.pendingExecutionId = null;
+            room.executedPlayerId = null;
+            room.lastNightDeaths = [];
+        }
+    },
+    [PHASES.DAY]: {
+        to: [PHASES.VOTE, PHASES.END],
+        enter: room => {
+            room.discussionReady = new Set();
+            room.pendingExecutionId = null;
+            room.finalVotes = new Map();
+        }
+    },
+    [PHASES.VOTE]: {
+        to: [PHASES.DEFENSE, PHASES.EXECUTION_REVEAL, PHASES.END],
+        guards: {
+            [PHASES.DEFENSE]: room => (hasAccused(room) ? null : 'Không có ai bị buộc tội')
+        },
+        enter: room => {
+            room.discussionReady = new Set();
+        }
+    },
+    [PHASES.DEFENSE]: {
+        to: [PHASES.FINAL_VERDICT, PHASES.EXECUTION_REVEAL, PHASES.END],
+        guards: {
+            [PHASES.FINAL_VERDICT]: room => (hasAccused(room) ? null : 'Không có ai bị buộc tội')
+        }
+    },
+    [PHASES.FINAL_VERDICT]: {
+        to: [PHASES.EXECUTION_REVEAL, PHASES.END],
+        enter: room => {
+            room.finalVotes = new Map();
+        }
+    },
+    [PHASES.EXECUTION_REVEAL]: {
+        to: [PHASES.NIGHT, PHASES.END],
+        // The day is over once the verdict is out
+        enter: room => {
+            room.day++;
+            room.pendingExecutionId = null;
+            room.discussionReady = new Set();
+        }
+    },
+    [PHASES.END]: {
+        to: []
+    }
+};
+
+// Guards shared by every source phase
+const TARGET_GUARDS = {
+    [PHASES.END]: room => (room.winner ? null : 'Chưa có phe thắng')
+};
+
+function isAllowed(from, to) {
+    const entry = TRANSITIONS[from];
+    if (!entry) return false;
+    return to === PHASES.LOBBY || entry.to.includes(to);
+}
+
+// Throws GameError(INVALID_TRANSITION) when `room` may not move to `to` right now
+function assertTransition(room, to) {
+    const from = room.phase;
+    if (!isAllowed(from, to)) {
+        throw new GameError(ERROR_CODES.INVALID_TRANSITION, `Không thể chuyển từ ${from} sang ${to}`);
+    }
+    const guard = (TRANSITIONS[from].guards || {})[to] || TARGET_GUARDS[to];
+    const reason = guard ? guard(room) : null;
+    if (reason) {
+        throw new GameError(ERROR_CODES.INVALID_TRANSITION, `Không thể chuyển sang ${to}: ${reason}`);
+    }
+}
+
+module.exports = { PHASES, TRANSITIONS, isAllowed, assertTransition };
@@ -0,0 +1,51 @@
+/**
+ * Team Elo for one finished game
+ * Each faction is a team rated at its members' mean, facing the mean of everyone else.
+ */
+const DEFAULT_RATING = 1000;
+const K_FACTOR = 32;
+
+// Smaller factions carry more of the outcome per head
+const FACTION_WEIGHTS = {
+    wolf: 1.25,
+    villager: 1,
+    traitor: 1.5,
+    neutral: 1.5
+};
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * players: [{ id, faction, rating? }] - rating missing = anonymous (DEFAULT_RATING)
+ * winnerIds: ids of the players who won
+ * Returns Map playerId -> rating delta (rounded)
+ */
+function computeRatingChanges(players, winnerIds) {
+    const winners = new Set(winnerIds);
+    const ratingOf = p => (typeof p.rating === 'number' ? p.rating : DEFAULT_RATING);
+    const changes = new Map();
+
+    const factions = new Set(players.map(p => p.faction));
+    factions.forEach(faction => {
+        const team = players.filter(p => p.faction === faction);
+        const opponents = players.filter(p => p.faction !== faction);
+        if (opponents.length === 0) return;
+
+        const expected = expectedScore(mean(team.map(ratingOf)), mean(opponents.map(ratingOf)));
+        const weight = FACTION_WEIGHTS[faction] || 1;
+        team.forEach(p => {
+            const score = winners.has(p.id) ? 1 : 0;
+            changes.set(p.id, Math.round(K_FACTOR * weight * (score - expected)));
+        });
+    });
+
+    return changes;
+}
+
+module.exports = { DEFAULT_RATING, K_FACTOR, FACTION_WEIGHTS, computeRatingChanges };
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+/**
+ * Seeded RNG (mulberry32) - same seed, same sequence
+ * The returned function works as a drop-in for Math.random; its whole state
+ * is one 32-bit integer so it survives a room snapshot.
+ */
+function hashSeed(seed) {
+    // FNV-1a: any string/number seed -> 32-bit integer
+    let h = 0x811c9dc5;
+    const str = String(seed);
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function createRng(seed, state = null) {
+    let a = state === null ? hashSeed(seed) : state >>> 0;
+
+    const random = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.seed = String(seed);
+    random.getState = () => a;
+    return random;
+}
+
+function randomSeed() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+module.exports = { createRng, randomSeed };
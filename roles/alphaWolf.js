@@ -0,0 +1,24 @@
+const { FACTIONS } = require('./factions');
+const wolf = require('./wolf');
+
+module.exports = {
+  id: 'alphaWolf',
+  name: 'Sói Đầu Đàn',
+  faction: FACTIONS.WOLF,
+  showsActivity: true,
+  limits: {
+    CURSE: 'hasCursed'
+  },
+  actions: {
+    KILL: wolf.actions.KILL,
+    CURSE: {
+      phase: 'night',
+      priority: 20,
+      // Curse only converts if the same target is killed by wolves this night (see applyWolfKill)
+      resolve(ctx, actor, action) {
+        ctx.curseTargetId = action.targetId;
+        ctx.markUsed(actor, 'CURSE');
+      }
+    }
+  }
+};
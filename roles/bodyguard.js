@@ -0,0 +1,26 @@
+const { FACTIONS } = require('./factions');
+const { GameError, ERROR_CODES } = require('../errors');
+
+module.exports = {
+  id: 'bodyguard',
+  name: 'Bảo Vệ',
+  faction: FACTIONS.VILLAGER,
+  actions: {
+    PROTECT: {
+      phase: 'night',
+      // Before Witch SAVE and the wolf kill
+      priority: 30,
+      allowSelf: true,
+      validate(room, actor, targetId) {
+        if (actor.attributes.lastProtectedId === targetId) {
+          throw new GameError(ERROR_CODES.INVALID_TARGET, 'Không được bảo vệ cùng 1 người 2 đêm liên tiếp!');
+        }
+      },
+      resolve(ctx, actor, action) {
+        ctx.protectedTargetId = action.targetId;
+        actor.attributes.lastProtectedId = action.targetId;
+        console.log(`[BODYGUARD] Protected ${action.targetId}`);
+      }
+    }
+  }
+};
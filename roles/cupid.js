@@ -0,0 +1,79 @@
+const { FACTIONS } = require('./factions');
+const { GameError, ERROR_CODES } = require('../errors');
+
+const loverResult = (lover, partner) => ({
+  role: 'cupid',
+  actionType: 'PAIR',
+  targetId: partner.id,
+  targetName: partner.name,
+  result: 'lover',
+  message: `💘 Bạn đã trúng tên của Thần Tình Yêu! Người yêu của bạn là ${partner.name}.`
+});
+
+module.exports = {
+  id: 'cupid',
+  name: 'Thần Tình Yêu',
+  faction: FACTIONS.VILLAGER,
+  showsActivity: true,
+  limits: {
+    PAIR: 'hasPaired'
+  },
+  actions: {
+    // targetId is a pair of player ids: [firstId, secondId]
+    PAIR: {
+      phase: 'night',
+      // Lovers are linked before anyone can die on night 1
+      priority: 5,
+      available: (room) => room.day === 1,
+      targets: 2,
+      allowSelf: true, // Cupid may fall in love too
+      validate(room, actor, targetId) {
+        if (targetId[0] === targetId[1]) {
+          throw new GameError(ERROR_CODES.INVALID_TARGET, 'Thần Tình Yêu phải chọn 2 người chơi khác nhau');
+        }
+      },
+      resolve(ctx, actor, action) {
+        const [first, second] = (action.targetId || []).map(ctx.findPlayer);
+        if (!first || !second || first.id === second.id) return;
+
+        first.attributes.loverId = second.id;
+        second.attributes.loverId = first.id;
+        ctx.markUsed(actor, 'PAIR');
+
+        ctx.reveal(first, loverResult(first, second));
+        ctx.reveal(second, loverResult(second, first));
+        ctx.reveal(actor, {
+          role: 'cupid',
+          actionType: 'PAIR',
+          targetId: [first.id, second.id],
+          targetName: `${first.name} & ${second.name}`,
+          result: 'paired',
+          message: `💘 Bạn đã ghép đôi ${first.name} và ${second.name}.`
+        });
+      }
+    }
+  },
+  winConditions: [{
+    id: 'lovers',
+    faction: FACTIONS.LOVERS,
+    priority: 20,
+    // Lovers from different factions win if they are the last two alive
+    check(state) {
+      const [first, second] = state.alive;
+      if (state.alive.length !== 2 || first.attributes.loverId !== second.id) return null;
+      if (state.winningFaction(first) === state.winningFaction(second)) return null;
+      return {
+        winnerIds: [first.id, second.id],
+        reason: 'lovers_last_alive',
+        message: `💘 ĐÔI TÌNH NHÂN ${first.name} & ${second.name} CHIẾN THẮNG!`
+      };
+    }
+  }],
+  // Lovers die together, whatever killed the first one
+  onPlayerDeath(ctx, victim) {
+    const partner = ctx.findPlayer(victim.attributes.loverId);
+    if (partner && partner.alive) {
+      ctx.kill(partner, `💔 ${partner.name} chết vì đau buồn theo người yêu ${victim.name}.`, 'lovers');
+    }
+  }
+};
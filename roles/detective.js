@@ -0,0 +1,31 @@
+const { FACTIONS } = require('./factions');
+const { getRole } = require('./registry');
+
+module.exports = {
+  id: 'detective',
+  name: 'Thám Tử',
+  faction: FACTIONS.VILLAGER,
+  showsActivity: true,
+  actions: {
+    CHECK: {
+      phase: 'night',
+      // Result only depends on the target's role, so it resolves before any deaths
+      priority: 25,
+      resolve(ctx, actor, action) {
+        const target = ctx.findPlayer(action.targetId);
+        if (!target) return;
+        const role = getRole(target.role);
+        const hasAction = !!(role && role.showsActivity);
+        const msg = hasAction ? "Mục tiêu CÓ hoạt động đêm nay." : "Mục tiêu KHÔNG hoạt động đêm nay.";
+        ctx.reveal(actor, {
+          role: 'detective',
+          actionType: 'CHECK',
+          targetId: target.id,
+          targetName: target.name,
+          result: hasAction ? 'active' : 'inactive',
+          message: `🔍 Thám tử soi: ${target.name} -> ${msg}`
+        });
+      }
+    }
+  }
+};
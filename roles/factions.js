@@ -0,0 +1,9 @@
+const FACTIONS = {
+  WOLF: 'wolf',
+  VILLAGER: 'villager',
+  TRAITOR: 'traitor',
+  LOVERS: 'lovers', // Only used as a win result (cross-faction couple)
+  NEUTRAL: 'neutral'
+};
+
+module.exports = { FACTIONS };
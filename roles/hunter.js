@@ -0,0 +1,26 @@
+const { FACTIONS } = require('./factions');
+
+module.exports = {
+  id: 'hunter',
+  name: 'Thợ Săn',
+  faction: FACTIONS.VILLAGER,
+  actions: {
+    PIN: {
+      phase: 'night',
+      // Collected BEFORE any deaths so the pin persists even if the Hunter dies tonight
+      priority: 10,
+      resolve(ctx, actor, action) {
+        actor.attributes.pinnedTargetId = action.targetId;
+        console.log(`[HUNTER] ${actor.name} pinned ${action.targetId} (will persist even if hunter dies)`);
+      }
+    }
+  },
+  // Death link is UNSTOPPABLE - bypasses Bodyguard protection
+  onDeath(ctx, hunter) {
+    const target = ctx.findPlayer(hunter.attributes.pinnedTargetId);
+    if (target && target.alive) {
+      ctx.kill(target, `🏹 Thợ săn ${hunter.name} chết đã kéo theo ${target.name}!`, 'hunter');
+      console.log(`[HUNTER] Death link triggered: ${target.name} dies with hunter`);
+    }
+  }
+};
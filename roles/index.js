@@ -0,0 +1,20 @@
+const { FACTIONS } = require('./factions');
+const registry = require('./registry');
+const wolfConsensus = require('./wolfConsensus');
+
+// To add a role: create its module in this folder and register it here
+registry.registerRole(require('./alphaWolf'));
+registry.registerRole(require('./wolf'));
+registry.registerRole(require('./detective'));
+registry.registerRole(require('./seer'));
+registry.registerRole(require('./witch'));
+registry.registerRole(require('./bodyguard'));
+registry.registerRole(require('./hunter'));
+registry.registerRole(require('./lawyer'));
+registry.registerRole(require('./cupid'));
+registry.registerRole(require('./traitor'));
+registry.registerRole(require('./villager'));
+
+require('./winConditions').forEach(condition => registry.registerWinCondition(condition));
+
+module.exports = { FACTIONS, ...registry, ...wolfConsensus };
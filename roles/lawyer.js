@@ -0,0 +1,18 @@
+const { FACTIONS } = require('./factions');
+
+module.exports = {
+  id: 'lawyer',
+  name: 'Luật Sư',
+  faction: FACTIONS.VILLAGER,
+  showsActivity: true,
+  limits: {
+    LAWYER_PROTECT: 'hasProtected'
+  },
+  actions: {
+    // Protect 1 player from today's execution; resolved in GameManager.resolveVote
+    LAWYER_PROTECT: {
+      phase: ['day', 'vote'],
+      allowSelf: true
+    }
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Role registry
+ * Every role is a plain module registered here. A role declares:
+ *  - id / name / faction
+ *  - actions: { [actionType]: { phase, priority, targets?, allowSelf?, validate?, resolve } }
+ *      phase     'night' | 'day' | 'vote' (or an array of phases)
+ *      priority  night resolution order, lower runs first:
+ *                5 Cupid PAIR · 10 Hunter PIN · 20 wolf votes/curse · 25 Detective · 30 Bodyguard
+ *                35 wolf target picked (core) · 40 Witch SAVE · 50 wolf kill applied (core)
+ *                60 Witch KILL · 70 Seer
+ *      available (room, actor) -> false when the action can't be used this phase (Cupid: night 1)
+ *      targets   number of players to pick (default 1; Cupid picks 2 and sends an array)
+ *      allowSelf actor may target themselves (default false)
+ *      validate  (room, actor, targetId) -> throws a GameError to reject a submission;
+ *                runs after the generic role/phase/target checks in GameManager.validateAction
+ *      resolve   (ctx, actor, action) -> applies the action during resolution;
+ *                use ctx.reveal(actor, result) for results only the actor may see
+ *  - limits: { [actionType]: attributeFlag } for one-shot abilities
+ *  - multiAction: role may submit several actions in one phase (Witch)
+ *  - showsActivity: Detective reports this role as active at night
+ *  - onAssign(room, player, config): runs after the role is dealt; config is roleConfig[id]
+ *  - winsWithFaction(player): faction this player wins alongside (defaults to its faction)
+ *  - winConditions: [{ id, faction, priority, check(state) }] evaluated while the role is in the game
+ *  - onDeath(ctx, player): runs after the player dies (Hunter link)
+ *  - onPlayerDeath(ctx, victim): runs after ANY death while the role is in the game (Lovers)
+ *
+ * Win conditions: check(state) returns null or { winnerIds, reason, message }.
+ * Lower priority is checked first; when several would win at once the first one wins.
+ *   10 Traitor lynched · 20 Lovers · 30 Villagers · 40 Wolves
+ */
+const roles = new Map();
+const winConditions = [];
+
+// 'alphaWolf' -> 'ALPHA_WOLF'
+const toRoleKey = (id) => id.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+const ROLE_TYPES = {};
+
+function registerRole(role) {
+  if (!role || !role.id) throw new Error('Role must have an id');
+  if (roles.has(role.id)) throw new Error(`Role ${role.id} already registered`);
+  roles.set(role.id, { actions: {}, limits: {}, ...role });
+  ROLE_TYPES[toRoleKey(role.id)] = role.id;
+  (role.winConditions || []).forEach(condition => registerWinCondition({ ...condition, role: role.id }));
+}
+
+// Faction-wide conditions have no role; role conditions only apply while that role is dealt
+function registerWinCondition(condition) {
+  if (!condition || !condition.id || typeof condition.check !== 'function') {
+    throw new Error('Win condition must have an id and a check function');
+  }
+  winConditions.push({ priority: 100, role: null, ...condition });
+  winConditions.sort((a, b) => a.priority - b.priority);
+}
+
+function listWinConditions() {
+  return winConditions.slice();
+}
+
+function getRole(id) {
+  return roles.get(id) || null;
+}
+
+function listRoles() {
+  return Array.from(roles.values());
+}
+
+const getActionPhases = (def) => Array.isArray(def.phase) ? def.phase : [def.phase || 'night'];
+
+function getActionDef(roleId, actionType) {
+  const role = getRole(roleId);
+  return role ? role.actions[actionType] || null : null;
+}
+
+// Whether the player's role has an action in this phase that is available right now
+// (Cupid only links lovers on night 1)
+function canActInPhase(room, player, phase) {
+  const role = getRole(player.role);
+  if (!role) return false;
+  return Object.values(role.actions).some(def =>
+    getActionPhases(def).includes(phase) && (!def.available || def.available(room, player))
+  );
+}
+
+function isAbilityUsed(player, actionType) {
+  const role = getRole(player.role);
+  const flag = role && role.limits[actionType];
+  return !!(flag && player.attributes[flag]);
+}
+
+function markAbilityUsed(player, actionType) {
+  const role = getRole(player.role);
+  const flag = role && role.limits[actionType];
+  if (flag) player.attributes[flag] = true;
+}
+
+module.exports = {
+  ROLE_TYPES,
+  registerRole,
+  registerWinCondition,
+  listWinConditions,
+  getRole,
+  listRoles,
+  getActionDef,
+  getActionPhases,
+  canActInPhase,
+  isAbilityUsed,
+  markAbilityUsed
+};
@@ -0,0 +1,29 @@
+const { FACTIONS } = require('./factions');
+
+module.exports = {
+  id: 'seer',
+  name: 'Tiên Tri',
+  faction: FACTIONS.VILLAGER,
+  showsActivity: true,
+  actions: {
+    CHECK: {
+      phase: 'night',
+      // After the wolf kill so a cursed (converted) target already reads as wolf
+      priority: 70,
+      resolve(ctx, actor, action) {
+        const target = ctx.findPlayer(action.targetId);
+        if (!target) return;
+        // Result goes to the Seer only, never to the public log
+        const isWolf = target.faction === FACTIONS.WOLF;
+        ctx.reveal(actor, {
+          role: 'seer',
+          actionType: 'CHECK',
+          targetId: target.id,
+          targetName: target.name,
+          result: isWolf ? FACTIONS.WOLF : FACTIONS.VILLAGER,
+          message: `🔮 Tiên tri soi: ${target.name} là ${isWolf ? 'SÓI 🐺' : 'NGƯỜI 🧑'}`
+        });
+      }
+    }
+  }
+};
@@ -0,0 +1,43 @@
+const { FACTIONS } = require('./factions');
+
+const TRAITOR_MODES = {
+  // Wins alone as soon as the village lynches them (any day)
+  JESTER: 'jester',
+  // Hidden wolf ally: Seer sees a villager (faction is not WOLF), but wins with the wolves
+  WOLF_ALLY: 'wolfAlly'
+};
+
+const getMode = (player) => player.attributes.traitorMode || TRAITOR_MODES.JESTER;
+
+module.exports = {
+  id: 'traitor',
+  name: 'Kẻ Phản Bội',
+  faction: FACTIONS.TRAITOR,
+  actions: {},
+  modes: TRAITOR_MODES,
+  // roleConfig.traitor.mode picks the rule set for this game
+  onAssign(room, player, config) {
+    const mode = config && config.mode;
+    player.attributes.traitorMode = Object.values(TRAITOR_MODES).includes(mode) ? mode : TRAITOR_MODES.JESTER;
+  },
+  winsWithFaction(player) {
+    return getMode(player) === TRAITOR_MODES.WOLF_ALLY ? FACTIONS.WOLF : FACTIONS.TRAITOR;
+  },
+  winConditions: [{
+    id: 'traitorLynched',
+    faction: FACTIONS.TRAITOR,
+    // Before every faction check: the lynch itself may also wipe out the last wolf
+    priority: 10,
+    check(state) {
+      const { event } = state;
+      if (!event || event.type !== 'executed') return null;
+      const traitor = state.findPlayer(event.playerId);
+      if (!traitor || traitor.role !== 'traitor' || getMode(traitor) !== TRAITOR_MODES.JESTER) return null;
+      return {
+        winnerIds: [traitor.id],
+        reason: 'traitor_lynched',
+        message: `🎭 Kẻ Phản Bội ${traitor.name} THẮNG nhờ bị treo cổ!`
+      };
+    }
+  }]
+};
@@ -0,0 +1,8 @@
+const { FACTIONS } = require('./factions');
+
+module.exports = {
+  id: 'villager',
+  name: 'Dân Làng',
+  faction: FACTIONS.VILLAGER,
+  actions: {}
+};
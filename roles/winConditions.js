@@ -0,0 +1,33 @@
+const { FACTIONS } = require('./factions');
+
+// Base faction win conditions (role-specific ones live in their role module)
+module.exports = [
+  {
+    id: 'villagers',
+    faction: FACTIONS.VILLAGER,
+    priority: 30,
+    check(state) {
+      if (state.alive.some(p => p.faction === FACTIONS.WOLF)) return null;
+      return {
+        winnerIds: state.idsOfFaction(FACTIONS.VILLAGER),
+        reason: 'no_wolves_left',
+        message: '🏆 DÂN LÀNG CHIẾN THẮNG!'
+      };
+    }
+  },
+  {
+    id: 'wolves',
+    faction: FACTIONS.WOLF,
+    priority: 40,
+    check(state) {
+      const wolves = state.alive.filter(p => p.faction === FACTIONS.WOLF).length;
+      const others = state.alive.length - wolves;
+      if (wolves === 0 || wolves < others) return null;
+      return {
+        winnerIds: state.idsOfFaction(FACTIONS.WOLF),
+        reason: 'wolves_outnumber',
+        message: '🐺 SÓI ĐÃ CHIẾN THẮNG!'
+      };
+    }
+  }
+];
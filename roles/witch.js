@@ -0,0 +1,45 @@
+const { FACTIONS } = require('./factions');
+
+module.exports = {
+  id: 'witch',
+  name: 'Phù Thủy',
+  faction: FACTIONS.VILLAGER,
+  showsActivity: true,
+  // Witch can submit SAVE and KILL in the same night
+  multiAction: true,
+  limits: {
+    SAVE: 'hasSaved',
+    KILL: 'hasKilled'
+  },
+  actions: {
+    SAVE: {
+      phase: 'night',
+      // After the wolf target is known, before it is applied
+      priority: 40,
+      allowSelf: true, // Witch may save herself from the wolves
+      resolve(ctx, actor, action) {
+        console.log(`[WITCH_SAVE] Witch ${actor.name} trying to save ${action.targetId}, wolf target: ${ctx.killTargetId}`);
+        if (ctx.killTargetId && action.targetId === ctx.killTargetId) {
+          ctx.savedTargetId = ctx.killTargetId;
+          ctx.markUsed(actor, 'SAVE');
+          console.log(`[WITCH_SAVE] SUCCESS! Saved ${ctx.killTargetId}`);
+        }
+      }
+    },
+    KILL: {
+      phase: 'night',
+      priority: 60,
+      resolve(ctx, actor, action) {
+        const target = ctx.findPlayer(action.targetId);
+        if (!target || !target.alive) return;
+        ctx.markUsed(actor, 'KILL');
+        if (action.targetId === ctx.protectedTargetId) {
+          // Don't reveal Bodyguard protection to players
+          return;
+        }
+        ctx.kill(target, `💀 ${target.name} đã chết một cách bí ẩn (Phù thủy).`, 'witch');
+        console.log(`[WITCH_KILL] SUCCESS! Killed ${target.name}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,18 @@
+const { FACTIONS } = require('./factions');
+
+// Wolves only cast their KILL vote here; the pack target is picked (see wolfConsensus.js)
+// and applied by GameManager
+const castWolfVote = (ctx, actor, action) => {
+  if (!action.targetId) return;
+  ctx.wolfVotes.set(actor.id, action.targetId);
+};
+
+module.exports = {
+  id: 'wolf',
+  name: 'Sói Thường',
+  faction: FACTIONS.WOLF,
+  showsActivity: true,
+  actions: {
+    KILL: { phase: 'night', priority: 20, resolve: castWolfVote }
+  }
+};
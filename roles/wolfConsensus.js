@@ -0,0 +1,74 @@
+const { FACTIONS } = require('./factions');
+const { getRole } = require('./registry');
+
+// How the pack turns individual KILL votes into one night target
+const WOLF_CONSENSUS_MODES = {
+  // Most votes wins; a tie is broken at random
+  PLURALITY: 'plurality',
+  // Every living wolf that can vote KILL tonight must pick the same target, otherwise nobody dies
+  UNANIMOUS: 'unanimous',
+  // Most votes wins; a tie goes to the Alpha's pick (random if the Alpha is not in the tie)
+  ALPHA: 'alpha'
+};
+
+// votes: Map voterId -> targetId. Returns [{ targetId, count, voterIds }] sorted by count.
+function tallyWolfVotes(votes) {
+  const byTarget = new Map();
+  votes.forEach((targetId, voterId) => {
+    if (!targetId) return;
+    if (!byTarget.has(targetId)) byTarget.set(targetId, { targetId, count: 0, voterIds: [] });
+    const entry = byTarget.get(targetId);
+    entry.count++;
+    entry.voterIds.push(voterId);
+  });
+  return Array.from(byTarget.values()).sort((a, b) => b.count - a.count);
+}
+
+// AFK wolves the game no longer waits on (auto-skipped or left out by the AFK policy)
+// and wolves that dropped out cannot join a unanimous vote
+const isAway = (room, p) => p.connected === false ||
+  Boolean(p.afk && room.afkSettings && ['skip', 'exclude'].includes(room.afkSettings.policy));
+
+// Wolves whose KILL vote the pack waits for tonight. Converted players have no KILL, and the
+// Alpha's one night action may be its CURSE instead; a SKIP still counts as a missing vote.
+function killVoters(room) {
+  return room.players.filter(p => {
+    if (p.isHost || !p.alive || p.faction !== FACTIONS.WOLF || isAway(room, p)) return false;
+    const role = getRole(p.role);
+    if (!role || !role.actions.KILL) return false;
+    const action = room.actions && room.actions.get(p.id);
+    return !action || action.type === 'KILL' || action.type === 'SKIP';
+  });
+}
+
+// Returns { targetId, tiedIds, reason } for the given mode. targetId is null when the pack has
+// no target yet; random is only called to break a plurality tie (leave it out for a preview).
+function pickWolfTarget(room, votes, mode, random) {
+  const tally = tallyWolfVotes(votes);
+  if (tally.length === 0) return { targetId: null, tiedIds: [], reason: 'no_votes' };
+
+  if (mode === WOLF_CONSENSUS_MODES.UNANIMOUS) {
+    const everyoneAgrees = tally.length === 1 && killVoters(room).every(w => votes.get(w.id) === tally[0].targetId);
+    return everyoneAgrees
+      ? { targetId: tally[0].targetId, tiedIds: [], reason: 'unanimous' }
+      : { targetId: null, tiedIds: [], reason: 'not_unanimous' };
+  }
+
+  const tiedIds = tally.filter(t => t.count === tally[0].count).map(t => t.targetId);
+  if (tiedIds.length === 1) return { targetId: tiedIds[0], tiedIds: [], reason: 'majority' };
+
+  if (mode === WOLF_CONSENSUS_MODES.ALPHA) {
+    const alpha = room.players.find(p => p.role === 'alphaWolf' && p.alive && tiedIds.includes(votes.get(p.id)));
+    if (alpha) return { targetId: votes.get(alpha.id), tiedIds, reason: 'alpha_tiebreak' };
+  }
+
+  if (!random) return { targetId: null, tiedIds, reason: 'tie' };
+  return { targetId: tiedIds[Math.floor(random() * tiedIds.length)], tiedIds, reason: 'random_tiebreak' };
+}
+
+module.exports = {
+  WOLF_CONSENSUS_MODES,
+  tallyWolfVotes,
+  killVoters,
+  pickWolfTarget
+};
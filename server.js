@@ -2,8 +2,12 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const fs = require('fs');
-const { GameManager } = require('./GameManager');
+const { GameManager, ROLE_TYPES, FACTIONS, CHAT_CHANNELS, SPECTATOR_CHAT } = require('./GameManager');
 const { RateLimiter } = require('./RateLimiter');
+const { BotController } = require('./BotController');
+const { createRoomStore } = require('./RoomStore');
+const { createReplayStore } = require('./ReplayStore');
+const { createProfileStore } = require('./ProfileStore');
 
 const app = express();
 const httpServer = createServer(app);
@@ -14,8 +18,28 @@ const io = new Server(httpServer, {
     }
 });
 
-const gameManager = new GameManager();
+const replayStore = createReplayStore();
+const profileStore = createProfileStore();
+const gameManager = new GameManager({
+    onReplay: (replay) => {
+        replayStore.save(replay);
+        profileStore.recordGame(replay);
+    },
+    seed: process.env.GAME_SEED || null,
+    onPhaseChange: (roomCode) => emitPhaseChange(roomCode),
+    onSeatReplaced: (roomCode, player) => emitSeatReplaced(roomCode, player),
+    onRoomClosed: () => persistRooms()
+});
 const rateLimiter = new RateLimiter();
+// Bot moves run through the same handlers as socket events (see performBotMove)
+const botController = new BotController({
+    manager: gameManager,
+    perform: (roomCode, botId, move) => performBotMove(roomCode, botId, move)
+});
+const roomStore = createRoomStore();
+
+// Snapshot all rooms shortly after any state change (debounced in RoomStore)
+const persistRooms = () => roomStore.scheduleSave(() => gameManager.serializeRooms());
 
 // Server start time for uptime calculation
 const serverStartTime = Date.now();
@@ -46,6 +70,101 @@ const getMemoryLimitMB = () => {
 
 const CONTAINER_MEMORY_LIMIT_MB = getMemoryLimitMB();
 
+// Helper: find the live socket of a player
+const getPlayerSocket = (playerId) => {
+    return Array.from(io.sockets.sockets.values()).find(s => s.data.playerId === playerId) || null;
+};
+
+// Helper: send queued private results (Seer/Detective...) to the acting player only
+const deliverPrivateResults = (roomCode) => {
+    const results = gameManager.takePrivateResults(roomCode);
+    results.forEach(result => {
+        const playerSocket = getPlayerSocket(result.playerId);
+        if (playerSocket) {
+            playerSocket.emit('PRIVATE_RESULT', result);
+        }
+    });
+};
+
+// Helper: Send the current wolf KILL tally to living wolves (with voters) and the Witch (counts only)
+const emitWolfTally = (roomCode) => {
+    const room = gameManager.getRoom(roomCode);
+    const tally = gameManager.getWolfTally(roomCode);
+    if (!room || !tally) return;
+
+    room.players.filter(p => p.alive && !p.isHost).forEach(p => {
+        let payload = null;
+        if (p.faction === FACTIONS.WOLF) {
+            payload = tally;
+        } else if (p.role === ROLE_TYPES.WITCH) {
+            payload = { ...tally, votes: tally.votes.map(({ voters, ...vote }) => vote) };
+        }
+        const playerSocket = payload && getPlayerSocket(p.id);
+        if (playerSocket) playerSocket.emit('WOLF_TALLY', payload);
+    });
+    console.log(`[WOLF_TALLY] ${roomCode}: ${tally.votes.map(v => `${v.targetName}=${v.count}`).join(', ')} -> ${tally.targetName || tally.reason}`);
+};
+
+// Helper: Send each player the chat channels they may read (wolf channel, observers)
+const emitChatSync = (roomCode) => {
+    const room = gameManager.getRoom(roomCode);
+    if (!room) return;
+    [...room.players, ...room.spectators].forEach(p => {
+        const playerSocket = getPlayerSocket(p.id);
+        if (playerSocket) playerSocket.emit('CHAT_SYNC', gameManager.getChatSync(roomCode, p.id));
+    });
+};
+
+// Spectator sockets join the room's channel (public broadcasts) and this one, so
+// anything only some spectators may receive can be sent to or kept from them
+const spectatorChannel = (roomCode) => `${roomCode}:spectators`;
+
+// Helper: push each spectator their read-only view (depends on the host's spectator settings)
+const emitSpectatorViews = (roomCode) => {
+    const room = gameManager.getRoom(roomCode);
+    if (!room) return;
+    room.spectators.forEach(spectator => {
+        const spectatorSocket = getPlayerSocket(spectator.id);
+        if (spectatorSocket) spectatorSocket.emit('SPECTATOR_VIEW', gameManager.getPlayerView(roomCode, spectator.id));
+    });
+};
+
+const emitSpectatorCount = (roomCode) => {
+    const room = gameManager.getRoom(roomCode);
+    if (room) io.to(roomCode).emit('SPECTATORS_UPDATED', { count: room.spectators.length });
+};
+
+// AFK: warnings queued when a phase ended (missed turns, now AFK, removed)
+const deliverAfkNotices = (roomCode) => {
+    gameManager.takeAfkNotices(roomCode).forEach(notice => {
+        const playerSocket = getPlayerSocket(notice.playerId);
+        if (playerSocket) playerSocket.emit('AFK_WARNING', notice);
+    });
+};
+
+// AFK: everyone the current phase waits on gets a reminder after `warnAfter` seconds of silence
+const armIdleWarnings = (roomCode) => {
+    const room = gameManager.getRoom(roomCode);
+    if (!room) return;
+    room.players.forEach(p => {
+        const playerSocket = getPlayerSocket(p.id);
+        if (!playerSocket) return;
+        if (!gameManager.needsToAct(roomCode, p.id)) {
+            rateLimiter.clearAFKTimer(playerSocket.id);
+            return;
+        }
+        rateLimiter.resetAFKTimer(playerSocket.id, () => {
+            // Still waiting (same phase, not paused, no move yet)?
+            if (!gameManager.needsToAct(roomCode, p.id)) return;
+            playerSocket.emit('AFK_WARNING', {
+                playerId: p.id,
+                idle: true,
+                message: '⏰ Đến lượt bạn! Hãy hành động trước khi hết giờ.'
+            });
+        }, room.afkSettings.warnAfter * 1000);
+    });
+};
+
 // Helper: Emit PHASE_CHANGED event
 const emitPhaseChange = (roomCode) => {
     const room = gameManager.getRoom(roomCode);
@@ -55,17 +174,223 @@ const emitPhaseChange = (roomCode) => {
             day: room.day,
             logs: room.actionLog,
             winner: room.winner,
+            replayId: room.phase === 'end' ? room.lastGameId : null,
             executedPlayerId: room.executedPlayerId,
             pendingExecutionId: room.pendingExecutionId,
-            defenseEndsAt: room.defenseEndsAt,
             nightDeaths: room.lastNightDeaths || [],
-            // Pass durations for client-side timer
+            timer: gameManager.getTimerView(roomCode), // Deadline of the new phase, clients count down to it
+            paused: Boolean(room.paused),
             dayPhaseDuration: room.dayPhaseDuration,
             aiConfig: room.aiConfig
         });
+        deliverPrivateResults(roomCode);
+        deliverAfkNotices(roomCode);
+        armIdleWarnings(roomCode);
+        botController.schedule(roomCode);
+        persistRooms(); // Timer-driven phase changes don't come through a socket event
+        // Channel access changes with the phase (wolf chat at night) and with deaths
+        emitChatSync(roomCode);
+        emitSpectatorViews(roomCode);
+    }
+};
+
+// --- Player moves ---
+// Shared by the socket handlers and the bot players (BotController.js); invalid moves throw
+
+const handleAction = (roomCode, playerId, { type, targetId }) => {
+    const actionDetails = gameManager.submitAction(roomCode, playerId, type, targetId);
+
+    // Live wolf tally: every night move of a wolf updates the pack and the Witch, since
+    // the Alpha's CURSE or a SKIP replaces that wolf's KILL vote
+    const room = gameManager.getRoom(roomCode);
+    const actor = room.players.find(p => p.id === playerId);
+    if (room.phase === 'night' && actor && actor.faction === FACTIONS.WOLF) {
+        emitWolfTally(roomCode);
+    }
+
+    // Notify Host of progress & Action Details
+    const status = gameManager.getActionStatus(roomCode);
+    const host = room.players.find(p => p.isHost);
+
+    // Also notify dead players (they get host-like visibility)
+    const deadPlayers = room.players.filter(p => !p.alive && !p.isHost);
+    const observerSockets = [];
+
+    if (host && host.connected) {
+        const hostSocket = Array.from(io.sockets.sockets.values()).find(s => s.data.playerId === host.id);
+        if (hostSocket) observerSockets.push(hostSocket);
+    }
+
+    deadPlayers.forEach(deadPlayer => {
+        const deadSocket = Array.from(io.sockets.sockets.values()).find(s => s.data.playerId === deadPlayer.id);
+        if (deadSocket) observerSockets.push(deadSocket);
+    });
+
+    // Send updates to all observers (host + dead players)
+    observerSockets.forEach(observerSocket => {
+        observerSocket.emit('HOST_UPDATE', {
+            actionStatus: status,
+            actionLog: actionDetails
+        });
+    });
+
+    // AI auto advance if ready
+    const beforePhase = room.phase;
+    gameManager.maybeAutoAdvance(roomCode, emitPhaseChange);
+    const updatedRoom = gameManager.getRoom(roomCode);
+
+    if (beforePhase !== updatedRoom.phase) {
+        emitPhaseChange(roomCode);
     }
 };
 
+const handleLawyerProtect = (roomCode, playerId, { targetId }) => {
+    const result = gameManager.submitLawyerProtect(roomCode, playerId, targetId);
+
+    const room = gameManager.getRoom(roomCode);
+    const lawyer = room.players.find(p => p.id === playerId);
+    const host = room.players.find(p => p.isHost);
+    const hostSocket = host ? getPlayerSocket(host.id) : null;
+    if (hostSocket) {
+        hostSocket.emit('HOST_UPDATE', {
+            actionLog: {
+                actorName: lawyer.name,
+                actorRole: lawyer.role,
+                actionType: 'LAWYER_PROTECT',
+                targetName: result.targetName
+            }
+        });
+    }
+    return result;
+};
+
+const handleReady = (roomCode, playerId) => {
+    const status = gameManager.markDiscussionReady(roomCode, playerId);
+    console.log(`[READY_FOR_VOTE] Status:`, status);
+    io.to(roomCode).emit('DISCUSSION_READY', status);
+
+    // AI auto advance if everyone ready
+    const before = gameManager.getRoom(roomCode);
+    const beforePhase = before ? before.phase : null;
+    gameManager.maybeAutoAdvance(roomCode, emitPhaseChange);
+    const room = gameManager.getRoom(roomCode);
+    if (room && beforePhase && beforePhase !== room.phase) {
+        emitPhaseChange(roomCode);
+    }
+};
+
+const handleVote = (roomCode, playerId, { targetId }) => {
+    const result = gameManager.submitVote(roomCode, playerId, targetId);
+
+    if (result) {
+        const room = gameManager.getRoom(roomCode);
+        const voter = room.players.find(p => p.id === playerId);
+        const target = room.players.find(p => p.id === targetId);
+
+        // Broadcast individual vote to all players
+        io.to(roomCode).emit('VOTE_CAST', {
+            voterName: voter ? voter.name : 'Unknown',
+            targetName: room.phase === 'final_verdict'
+                ? (targetId === 'EXECUTE' ? 'Giết' : 'Không giết')
+                : (targetId === 'SKIP' ? 'Bỏ qua' : (target ? target.name : 'Unknown')),
+            voterId: playerId,
+            targetId: targetId
+        });
+
+        if (room.phase === 'final_verdict') {
+            const executeVotes = Array.from(room.finalVotes.values()).filter(v => v === 'EXECUTE').length;
+            const spareVotes = Array.from(room.finalVotes.values()).filter(v => v === 'SPARE').length;
+            const totalVotes = room.players.filter(p => p.alive).length;
+            io.to(roomCode).emit('FINAL_VOTE_UPDATE', {
+                executeVotes,
+                spareVotes,
+                totalVotes
+            });
+        } else {
+            // Broadcast vote leader update
+            if (result.leaderId) {
+                io.to(roomCode).emit('VOTE_LEADER_UPDATE', {
+                    leaderName: result.leaderName,
+                    voteCount: result.voteCount,
+                    totalVotes: result.totalVotes
+                });
+            }
+        }
+    }
+
+    // Notify Host of progress
+    const status = gameManager.getActionStatus(roomCode);
+    const room = gameManager.getRoom(roomCode);
+    const host = room.players.find(p => p.isHost);
+    if (host && host.connected) {
+        const hostSocket = Array.from(io.sockets.sockets.values()).find(s => s.data.playerId === host.id);
+        if (hostSocket) {
+            hostSocket.emit('HOST_UPDATE', {
+                actionStatus: status
+            });
+        }
+    }
+
+    // AI auto advance if all votes in
+    const before = gameManager.getRoom(roomCode);
+    const beforePhase = before ? before.phase : null;
+    gameManager.maybeAutoAdvance(roomCode, emitPhaseChange);
+    const roomAfter = gameManager.getRoom(roomCode);
+
+    if (roomAfter && beforePhase && beforePhase !== roomAfter.phase) {
+        emitPhaseChange(roomCode);
+    }
+};
+
+const handleChat = (roomCode, playerId, { message, channel = CHAT_CHANNELS.PUBLIC }) => {
+    const validation = rateLimiter.validateChatMessage(message);
+    if (!validation.valid) throw new Error(validation.error);
+
+    const room = gameManager.getRoom(roomCode);
+    if (!room || !room.chatEnabled) throw new Error('Chat đang tắt');
+
+    const payload = gameManager.addChatMessage(roomCode, playerId, message, channel);
+    const spectatorChat = room.spectatorSettings.chat;
+    if (channel === CHAT_CHANNELS.PUBLIC) {
+        const target = spectatorChat === SPECTATOR_CHAT.NONE ? io.to(roomCode).except(spectatorChannel(roomCode)) : io.to(roomCode);
+        target.emit('CHAT_MESSAGE', payload);
+    } else {
+        // Scoped channel: only players allowed to read it
+        gameManager.getChatReaders(roomCode, channel).forEach(p => {
+            const readerSocket = getPlayerSocket(p.id);
+            if (readerSocket) readerSocket.emit('CHAT_MESSAGE', payload);
+        });
+        if (spectatorChat === SPECTATOR_CHAT.ALL) io.to(spectatorChannel(roomCode)).emit('CHAT_MESSAGE', payload);
+    }
+};
+
+const performBotMove = (roomCode, botId, move) => {
+    switch (move.type) {
+        case 'ACTION': return handleAction(roomCode, botId, { type: move.actionType, targetId: move.targetId });
+        case 'LAWYER_PROTECT': return handleLawyerProtect(roomCode, botId, move);
+        case 'READY': return handleReady(roomCode, botId);
+        case 'VOTE': return handleVote(roomCode, botId, move);
+        case 'CHAT': return handleChat(roomCode, botId, move);
+        default: throw new Error(`Unknown bot move ${move.type}`);
+    }
+};
+
+// --- Disconnected players ---
+// GameManager times the grace period (startSeatGrace); this tells the room who took the seat
+const emitSeatReplaced = (roomCode, player) => {
+    io.to(roomCode).emit('PLAYER_REPLACED', {
+        playerId: player.id,
+        playerName: player.name,
+        standIn: player.standIn,
+        message: player.standIn === 'bot'
+            ? `🤖 ${player.name} không quay lại, bot sẽ chơi thay.`
+            : `🪑 ${player.name} không quay lại, chỗ đang chờ người thay.`
+    });
+    // A bot stand-in plays the current phase right away
+    if (player.isBot) botController.schedule(roomCode);
+    persistRooms();
+};
+
 // Normalize a display name with fallback and length cap
 const sanitizeName = (name, fallback = 'Người chơi') => {
     const trimmed = String(name || '').trim();
@@ -73,9 +398,12 @@ const sanitizeName = (name, fallback = 'Người chơi') => {
     return safe.slice(0, 30);
 };
 
+// Behind Render's proxy: req.ip is the client from X-Forwarded-For, not the proxy
+app.set('trust proxy', Number(process.env.TRUST_PROXY || 1));
+
 // Serve static files
 app.use(express.static('public'));
-app.use(express.json());
+app.use(express.json({ limit: '10kb' }));
 
 // Admin authentication middleware
 const adminAuth = (req, res, next) => {
@@ -163,11 +491,68 @@ app.post('/api/admin/close-room', adminAuth, (req, res) => {
 
     // Delete room
     gameManager.rooms.delete(roomCode);
+    persistRooms();
     console.log(`[ADMIN] Room ${roomCode} closed by admin`);
 
     res.json({ message: `Room ${roomCode} closed successfully` });
 });
 
+// Replays: structured event log of finished (or aborted) games
+app.get('/api/replays', async (req, res) => {
+    const roomCode = String(req.query.roomCode || '').trim().toUpperCase();
+    if (!roomCode) {
+        return res.status(400).json({ error: 'Room code required' });
+    }
+    try {
+        res.json({ replays: await replayStore.list(roomCode) });
+    } catch (error) {
+        console.error('[REPLAY] List failed:', error.message);
+        res.status(500).json({ error: 'Could not list replays' });
+    }
+});
+
+app.get('/api/replays/:gameId', (req, res) => {
+    const replay = replayStore.load(req.params.gameId);
+    if (!replay) {
+        return res.status(404).json({ error: 'Replay not found' });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="ma-soi-${replay.gameId}.json"`);
+    res.json(replay);
+});
+
+// Profiles: optional name + secret key kept in the player's local storage
+app.post('/api/profiles', (req, res) => {
+    const name = sanitizeName(req.body && req.body.name, '');
+    if (!name) {
+        return res.status(400).json({ error: 'Name required' });
+    }
+    const limit = rateLimiter.checkProfileLimit(req.ip);
+    if (!limit.allowed) {
+        return res.status(429).json({ error: `Too many requests, try again in ${limit.waitTime}s` });
+    }
+    const { profileId, key } = profileStore.create(name);
+    res.status(201).json({ profileId, key, name });
+});
+
+app.get('/api/profiles/:profileId', (req, res) => {
+    const stats = profileStore.getStats(req.params.profileId);
+    if (!stats) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(stats);
+});
+
+// Ratings from ranked games (rooms can opt out for casual play)
+app.get('/api/leaderboard', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({ leaderboard: profileStore.leaderboard(limit) });
+});
+
+// Leaderboard page
+app.get('/leaderboard', (req, res) => {
+    res.sendFile(__dirname + '/public/leaderboard.html');
+});
+
 // Join room page
 app.get('/join/:roomCode', (req, res) => {
     res.sendFile(__dirname + '/public/index.html');
@@ -178,9 +563,21 @@ app.get('/host', (req, res) => {
     res.sendFile(__dirname + '/public/host.html');
 });
 
+// Replay viewer (finished games)
+app.get('/replay', (req, res) => {
+    res.sendFile(__dirname + '/public/replay.html');
+});
+
+app.get('/spectate', (req, res) => {
+    res.sendFile(__dirname + '/public/spectate.html');
+});
+
 io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
+    // Every client event may change room state
+    socket.onAny(() => persistRooms());
+
     socket.on('CREATE_ROOM', ({ playerName, aiHost = false }) => {
         try {
             const hostName = sanitizeName(playerName, 'Host');
@@ -196,7 +593,7 @@ io.on('connection', (socket) => {
             if (aiHost) {
                 gameManager.enableAIHost(roomCode, playerId, true);
             }
-            socket.emit('CHAT_SYNC', { enabled: room.chatEnabled, log: room.chatLog });
+            socket.emit('CHAT_SYNC', gameManager.getChatSync(roomCode, playerId));
 
             // Send initial player list to host
             socket.emit('PLAYER_JOINED', {
@@ -215,10 +612,90 @@ io.on('connection', (socket) => {
         }
     });
 
-    socket.on('JOIN_ROOM', ({ roomCode, playerName, token }) => {
+    // Watch a room at any phase without playing
+    socket.on('JOIN_AS_SPECTATOR', ({ roomCode, name }) => {
+        try {
+            const code = String(roomCode || '').trim().toUpperCase();
+            const { spectatorId } = gameManager.joinSpectator(code, sanitizeName(name, 'Khán giả'));
+            socket.join(code);
+            socket.join(spectatorChannel(code));
+            socket.data.roomCode = code;
+            socket.data.playerId = spectatorId;
+            socket.data.spectator = true;
+
+            socket.emit('SPECTATOR_JOINED', {
+                roomCode: code,
+                spectatorId,
+                view: gameManager.getPlayerView(code, spectatorId),
+                timer: gameManager.getTimerView(code)
+            });
+            socket.emit('CHAT_SYNC', gameManager.getChatSync(code, spectatorId));
+            emitSpectatorCount(code);
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message });
+        }
+    });
+
+    socket.on('SET_AFK_SETTINGS', (settings) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const room = gameManager.setAfkSettings(roomCode, playerId, settings || {});
+            io.to(roomCode).emit('AFK_SETTINGS_UPDATED', room.afkSettings);
+            console.log(`[AFK] Settings for room ${roomCode}:`, room.afkSettings);
+        } catch (error) {
+            console.error('SET_AFK_SETTINGS error:', error);
+            socket.emit('ERROR', { message: error.message });
+        }
+    });
+
+    socket.on('SET_REPLACEMENT_SETTINGS', (settings) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const room = gameManager.setReplacementSettings(roomCode, playerId, settings || {});
+            io.to(roomCode).emit('REPLACEMENT_SETTINGS_UPDATED', room.replacementSettings);
+            console.log(`[REPLACE] Settings for room ${roomCode}:`, room.replacementSettings);
+        } catch (error) {
+            console.error('SET_REPLACEMENT_SETTINGS error:', error);
+            socket.emit('ERROR', { message: error.message });
+        }
+    });
+
+    // Host hands an abandoned seat to someone new: only the host receives the token
+    socket.on('ISSUE_TAKEOVER', ({ playerId: seatId } = {}) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const token = gameManager.issueTakeoverToken(roomCode, playerId, seatId);
+            const seat = gameManager.getRoom(roomCode).players.find(p => p.id === seatId);
+            socket.emit('TAKEOVER_ISSUED', { playerId: seatId, playerName: seat.name, token, path: `/join/${roomCode}?token=${token}` });
+            persistRooms();
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message });
+        }
+    });
+
+    socket.on('SET_SPECTATOR_SETTINGS', (settings) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const room = gameManager.setSpectatorSettings(roomCode, playerId, settings || {});
+            io.to(roomCode).emit('SPECTATOR_SETTINGS_UPDATED', room.spectatorSettings);
+            emitSpectatorViews(roomCode);
+            emitChatSync(roomCode);
+            console.log(`[SPECTATOR] Settings for room ${roomCode}:`, room.spectatorSettings);
+        } catch (error) {
+            console.error('SET_SPECTATOR_SETTINGS error:', error);
+            socket.emit('ERROR', { message: error.message });
+        }
+    });
+
+    socket.on('JOIN_ROOM', ({ roomCode, playerName, token, profileId, profileKey }) => {
         try {
             const safeName = sanitizeName(playerName, 'Người chơi');
-            const { playerId, token: playerToken, reconnected } = gameManager.joinRoom(roomCode, safeName, token);
+            // A wrong key just means playing anonymously
+            const verifiedProfileId = profileId ? profileStore.verify(profileId, profileKey) : null;
+            if (profileId && !verifiedProfileId) {
+                console.warn(`[PROFILES] Invalid key for profile ${profileId}, joining anonymously`);
+            }
+            const { playerId, token: playerToken, reconnected, reclaimed } = gameManager.joinRoom(roomCode, safeName, token, verifiedProfileId);
             socket.join(roomCode);
             socket.data.roomCode = roomCode;
             socket.data.playerId = playerId;
@@ -245,9 +722,13 @@ io.on('connection', (socket) => {
             }
 
             if (reconnected) {
+                if (reclaimed) {
+                    const player = room.players.find(p => p.id === playerId);
+                    io.to(roomCode).emit('PLAYER_RETURNED', { playerId, playerName: player.name, message: room.actionLog[room.actionLog.length - 1] });
+                }
                 const playerView = gameManager.getPlayerView(roomCode, playerId);
                 const player = playerView.players.find(p => p.id === playerId);
-                socket.emit('RECONNECTED', { gameState: playerView, role: player ? player.role : null, playerId });
+                socket.emit('RECONNECTED', { gameState: playerView, role: player ? player.role : null, playerId, timer: gameManager.getTimerView(roomCode) });
             } else {
                 socket.emit('ROOM_CREATED', { roomCode, playerId, token: playerToken });
             }
@@ -263,7 +744,15 @@ io.on('connection', (socket) => {
             });
 
             // Send chat state to the joining player only
-            socket.emit('CHAT_SYNC', { enabled: room.chatEnabled, log: room.chatLog });
+            socket.emit('CHAT_SYNC', gameManager.getChatSync(roomCode, playerId));
+
+            // The host page mirrors the spectator, AFK and replacement settings
+            if (room.players.some(p => p.id === playerId && p.isHost)) {
+                socket.emit('AFK_SETTINGS_UPDATED', room.afkSettings);
+                socket.emit('REPLACEMENT_SETTINGS_UPDATED', room.replacementSettings);
+                socket.emit('SPECTATOR_SETTINGS_UPDATED', room.spectatorSettings);
+                socket.emit('SPECTATORS_UPDATED', { count: room.spectators.length });
+            }
 
             console.log(`Player ${playerName} joined room ${roomCode}`);
         } catch (error) {
@@ -272,6 +761,28 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Host fills the lobby with bot players
+    socket.on('ADD_BOT', ({ level } = {}) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const bot = gameManager.addBot(roomCode, playerId, level);
+            const room = gameManager.getRoom(roomCode);
+            io.to(roomCode).emit('PLAYER_JOINED', {
+                players: room.players.map(p => ({
+                    id: p.id,
+                    name: p.name,
+                    connected: p.connected,
+                    isHost: p.isHost,
+                    isBot: Boolean(p.isBot),
+                    alive: p.alive
+                }))
+            });
+            console.log(`[BOT] Added ${bot.name} to room ${roomCode}`);
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message });
+        }
+    });
+
     socket.on('SET_MAX_PLAYERS', ({ maxPlayers }) => {
         const { roomCode, playerId } = socket.data;
         try {
@@ -285,6 +796,30 @@ io.on('connection', (socket) => {
         }
     });
 
+    socket.on('SET_WOLF_CONSENSUS', ({ mode }) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const room = gameManager.setWolfConsensus(roomCode, playerId, mode);
+            io.to(roomCode).emit('WOLF_CONSENSUS_UPDATED', { mode: room.wolfConsensus });
+            console.log(`Wolf consensus set to ${mode} in room ${roomCode}`);
+        } catch (error) {
+            console.error('SET_WOLF_CONSENSUS error:', error);
+            socket.emit('ERROR', { message: error.message });
+        }
+    });
+
+    socket.on('SET_RANKED', ({ ranked }) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const room = gameManager.setRanked(roomCode, playerId, ranked);
+            io.to(roomCode).emit('RANKED_UPDATED', { ranked: room.ranked });
+            console.log(`Ranked set to ${room.ranked} in room ${roomCode}`);
+        } catch (error) {
+            console.error('SET_RANKED error:', error);
+            socket.emit('ERROR', { message: error.message });
+        }
+    });
+
     socket.on('SET_DAY_DURATION', ({ duration }) => {
         const { roomCode, playerId } = socket.data;
         try {
@@ -303,8 +838,11 @@ io.on('connection', (socket) => {
         const { roomCode, playerId } = socket.data;
         try {
             const room = gameManager.enableAIHost(roomCode, playerId, enabled);
-            // when enabling, try auto-start check and schedule timers for current phase
-            gameManager.schedulePhaseTimer(room, emitPhaseChange);
+            // The current phase's deadline depends on who advances it
+            if (room.phase !== 'lobby') {
+                gameManager.schedulePhaseTimer(room);
+                io.to(roomCode).emit('TIMER_UPDATE', gameManager.getTimerView(roomCode));
+            }
             io.to(roomCode).emit('AI_HOST_SYNC', { enabled: room.aiHostEnabled });
             console.log(`[AI_HOST] room ${roomCode} enabled=${room.aiHostEnabled}`);
         } catch (error) {
@@ -318,7 +856,7 @@ io.on('connection', (socket) => {
         const { roomCode, playerId } = socket.data;
         try {
             const room = gameManager.setChatEnabled(roomCode, playerId, enabled);
-            io.to(roomCode).emit('CHAT_SYNC', { enabled: room.chatEnabled, log: room.chatLog });
+            emitChatSync(roomCode);
             console.log(`[CHAT] Host set chat=${room.chatEnabled} for room ${roomCode}`);
         } catch (error) {
             console.error('SET_CHAT_ENABLED error:', error);
@@ -326,10 +864,10 @@ io.on('connection', (socket) => {
         }
     });
 
-    socket.on('START_GAME', ({ roleConfig }) => {
+    socket.on('START_GAME', ({ roleConfig, seed }) => {
         const { roomCode, playerId } = socket.data;
         try {
-            const result = gameManager.startGame(roomCode, playerId, roleConfig);
+            const result = gameManager.startGame(roomCode, playerId, roleConfig, { seed });
             result.players.forEach(player => {
                 const foundSocket = Array.from(io.sockets.sockets.values()).find(s => s.data.playerId === player.id);
                 const socketId = foundSocket ? foundSocket.id : null;
@@ -337,6 +875,9 @@ io.on('connection', (socket) => {
                     io.to(socketId).emit('GAME_STARTED', { role: player.role, players: result.players });
                 }
             });
+            io.to(roomCode).emit('TIMER_UPDATE', gameManager.getTimerView(roomCode));
+            armIdleWarnings(roomCode);
+            botController.schedule(roomCode);
 
             // If AI host mode, notify owner to join as player
             const room = gameManager.getRoom(roomCode);
@@ -355,121 +896,16 @@ io.on('connection', (socket) => {
             console.log(`Game started in room ${roomCode}`);
         } catch (error) {
             console.error('START_GAME error:', error);
-            socket.emit('ERROR', { message: error.message });
+            socket.emit('ERROR', { message: error.message, code: error.code });
         }
     });
 
     socket.on('ACTION', ({ type, targetId }) => {
         const { roomCode, playerId } = socket.data;
         try {
-            const actionDetails = gameManager.submitAction(roomCode, playerId, type, targetId);
-
-            // NEW: Witch Preview System
-            // When Wolf submits KILL, notify Witch immediately
-            if (type === 'KILL') {
-                const room = gameManager.getRoom(roomCode);
-                const actor = room.players.find(p => p.id === playerId);
-
-                // Check if actor is Wolf
-                if (actor && (actor.role === 'wolf' || actor.role === 'alpha_wolf')) {
-                    // Find Witch
-                    const witch = room.players.find(p => p.role === 'witch' && p.alive);
-
-                    if (witch) {
-                        // Find Witch's socket
-                        const witchSocket = Array.from(io.sockets.sockets.values())
-                            .find(s => s.data.playerId === witch.id);
-
-                        if (witchSocket) {
-                            const target = room.players.find(p => p.id === targetId);
-                            witchSocket.emit('WITCH_PREVIEW', {
-                                targetId: targetId,
-                                targetName: target ? target.name : 'Unknown'
-                            });
-                            console.log(`[WITCH_PREVIEW] Sent to ${witch.name}: ${target?.name} will die`);
-                        }
-                    }
-
-                    // Broadcast wolf target preview to all wolves/alpha wolves
-                    const wolfSockets = Array.from(io.sockets.sockets.values())
-                        .filter(s => {
-                            const pid = s.data.playerId;
-                            return room.players.some(p => p.id === pid && p.alive && (p.role === 'wolf' || p.role === 'alpha_wolf'));
-                        });
-
-                    const target = room.players.find(p => p.id === targetId);
-                    wolfSockets.forEach(ws => {
-                        ws.emit('WOLF_KILL_PREVIEW', {
-                            targetId,
-                            targetName: target ? target.name : 'Unknown',
-                            by: actor.name
-                        });
-                    });
-                    console.log(`[WOLF_PREVIEW] Wolves notified about target ${target?.name}`);
-                }
-            }
-
-            // Notify Host of progress & Action Details
-            const status = gameManager.getActionStatus(roomCode);
-            const room = gameManager.getRoom(roomCode);
-            const host = room.players.find(p => p.isHost);
-
-            // Also notify dead players (they get host-like visibility)
-            const deadPlayers = room.players.filter(p => !p.alive && !p.isHost);
-            const observerSockets = [];
-
-            if (host && host.connected) {
-                const hostSocket = Array.from(io.sockets.sockets.values()).find(s => s.data.playerId === host.id);
-                if (hostSocket) observerSockets.push(hostSocket);
-            }
-
-            deadPlayers.forEach(deadPlayer => {
-                const deadSocket = Array.from(io.sockets.sockets.values()).find(s => s.data.playerId === deadPlayer.id);
-                if (deadSocket) observerSockets.push(deadSocket);
-            });
-
-            // Send updates to all observers (host + dead players)
-            observerSockets.forEach(observerSocket => {
-                observerSocket.emit('HOST_UPDATE', {
-                    actionStatus: status,
-                    actionLog: actionDetails
-                });
-            });
-
-            // AI auto advance if ready
-            const beforePhase = room.phase;
-            gameManager.maybeAutoAdvance(roomCode, (updatedRoomCode) => {
-                const updatedRoom = gameManager.getRoom(updatedRoomCode);
-                io.to(updatedRoomCode).emit('PHASE_CHANGED', {
-                    phase: updatedRoom.phase,
-                    day: updatedRoom.day,
-                    logs: updatedRoom.actionLog,
-                    winner: updatedRoom.winner,
-                    executedPlayerId: updatedRoom.executedPlayerId,
-                    pendingExecutionId: updatedRoom.pendingExecutionId,
-                    defenseEndsAt: updatedRoom.defenseEndsAt,
-                    nightDeaths: updatedRoom.lastNightDeaths || []
-                });
-            });
-            const updatedRoom = gameManager.getRoom(roomCode);
-
-            if (beforePhase !== updatedRoom.phase) {
-                io.to(roomCode).emit('PHASE_CHANGED', {
-                    phase: updatedRoom.phase,
-                    day: updatedRoom.day,
-                    logs: updatedRoom.actionLog,
-                    winner: updatedRoom.winner,
-                    executedPlayerId: updatedRoom.executedPlayerId,
-                    pendingExecutionId: updatedRoom.pendingExecutionId,
-                    defenseEndsAt: updatedRoom.defenseEndsAt,
-                    nightDeaths: updatedRoom.lastNightDeaths || []
-                });
-            }
-
-            gameManager.schedulePhaseTimer(updatedRoom, emitPhaseChange);
-
+            handleAction(roomCode, playerId, { type, targetId });
         } catch (error) {
-            socket.emit('ERROR', { message: error.message });
+            socket.emit('ERROR', { message: error.message, code: error.code });
         }
     });
 
@@ -494,144 +930,38 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Lawyer protects 1 player from today's execution (day or vote phase, once per game)
+    socket.on('LAWYER_PROTECT', ({ targetId }) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            socket.emit('LAWYER_PROTECT_OK', handleLawyerProtect(roomCode, playerId, { targetId }));
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message, code: error.code });
+        }
+    });
+
     // Player confirms discussion finished (day phase)
     socket.on('READY_FOR_VOTE', () => {
         const { roomCode, playerId } = socket.data;
         console.log(`[READY_FOR_VOTE] Player ${playerId} in room ${roomCode}`);
         try {
-            const status = gameManager.markDiscussionReady(roomCode, playerId);
-            console.log(`[READY_FOR_VOTE] Status:`, status);
-            io.to(roomCode).emit('DISCUSSION_READY', status);
-
-            // AI auto advance if everyone ready
-            const before = gameManager.getRoom(roomCode);
-            const beforePhase = before ? before.phase : null;
-            gameManager.maybeAutoAdvance(roomCode, (updatedRoomCode) => {
-                const room = gameManager.getRoom(updatedRoomCode);
-                io.to(updatedRoomCode).emit('PHASE_CHANGED', {
-                    phase: room.phase,
-                    day: room.day,
-                    logs: room.actionLog,
-                    winner: room.winner,
-                    executedPlayerId: room.executedPlayerId,
-                    pendingExecutionId: room.pendingExecutionId,
-                    defenseEndsAt: room.defenseEndsAt,
-                    nightDeaths: room.lastNightDeaths || []
-                });
-            });
-            const room = gameManager.getRoom(roomCode);
-            if (room && beforePhase && beforePhase !== room.phase) {
-                io.to(roomCode).emit('PHASE_CHANGED', {
-                    phase: room.phase,
-                    day: room.day,
-                    logs: room.actionLog,
-                    winner: room.winner,
-                    executedPlayerId: room.executedPlayerId,
-                    pendingExecutionId: room.pendingExecutionId,
-                    defenseEndsAt: room.defenseEndsAt,
-                    nightDeaths: room.lastNightDeaths || []
-                });
-            }
-            gameManager.schedulePhaseTimer(room, emitPhaseChange);
+            handleReady(roomCode, playerId);
         } catch (error) {
-            socket.emit('ERROR', { message: error.message });
+            socket.emit('ERROR', { message: error.message, code: error.code });
         }
     });
 
     socket.on('VOTE', ({ targetId }) => {
         const { roomCode, playerId } = socket.data;
         try {
-            const result = gameManager.submitVote(roomCode, playerId, targetId);
-
-            if (result) {
-                const room = gameManager.getRoom(roomCode);
-                const voter = room.players.find(p => p.id === playerId);
-                const target = room.players.find(p => p.id === targetId);
-
-                // Broadcast individual vote to all players
-                io.to(roomCode).emit('VOTE_CAST', {
-                    voterName: voter ? voter.name : 'Unknown',
-                    targetName: room.phase === 'final_verdict'
-                        ? (targetId === 'EXECUTE' ? 'Giết' : 'Không giết')
-                        : (targetId === 'SKIP' ? 'Bỏ qua' : (target ? target.name : 'Unknown')),
-                    voterId: playerId,
-                    targetId: targetId
-                });
-
-                if (room.phase === 'final_verdict') {
-                    const executeVotes = Array.from(room.finalVotes.values()).filter(v => v === 'EXECUTE').length;
-                    const spareVotes = Array.from(room.finalVotes.values()).filter(v => v === 'SPARE').length;
-                    const totalVotes = room.players.filter(p => p.alive).length;
-                    io.to(roomCode).emit('FINAL_VOTE_UPDATE', {
-                        executeVotes,
-                        spareVotes,
-                        totalVotes
-                    });
-                } else {
-                    // Broadcast vote leader update
-                    if (result.leaderId) {
-                        io.to(roomCode).emit('VOTE_LEADER_UPDATE', {
-                            leaderName: result.leaderName,
-                            voteCount: result.voteCount,
-                            totalVotes: result.totalVotes
-                        });
-                    }
-                }
-            }
-
-            // Notify Host of progress
-            const status = gameManager.getActionStatus(roomCode);
-            const room = gameManager.getRoom(roomCode);
-            const host = room.players.find(p => p.isHost);
-            if (host && host.connected) {
-                const hostSocket = Array.from(io.sockets.sockets.values()).find(s => s.data.playerId === host.id);
-                if (hostSocket) {
-                    hostSocket.emit('HOST_UPDATE', {
-                        actionStatus: status
-                    });
-                }
-            }
-
-            // AI auto advance if all votes in
-            const before = gameManager.getRoom(roomCode);
-            const beforePhase = before ? before.phase : null;
-            gameManager.maybeAutoAdvance(roomCode, (updatedRoomCode) => {
-                const roomAfter = gameManager.getRoom(updatedRoomCode);
-                io.to(updatedRoomCode).emit('PHASE_CHANGED', {
-                    phase: roomAfter.phase,
-                    day: roomAfter.day,
-                    logs: roomAfter.actionLog,
-                    winner: roomAfter.winner,
-                    executedPlayerId: roomAfter.executedPlayerId,
-                    pendingExecutionId: roomAfter.pendingExecutionId,
-                    defenseEndsAt: roomAfter.defenseEndsAt,
-                    nightDeaths: roomAfter.lastNightDeaths || []
-                });
-            });
-            const roomAfter = gameManager.getRoom(roomCode);
-
-            if (roomAfter && beforePhase && beforePhase !== roomAfter.phase) {
-                io.to(roomCode).emit('PHASE_CHANGED', {
-                    phase: roomAfter.phase,
-                    day: roomAfter.day,
-                    logs: roomAfter.actionLog,
-                    winner: roomAfter.winner,
-                    executedPlayerId: roomAfter.executedPlayerId,
-                    pendingExecutionId: roomAfter.pendingExecutionId,
-                    defenseEndsAt: roomAfter.defenseEndsAt,
-                    nightDeaths: roomAfter.lastNightDeaths || []
-                });
-            }
-
-            gameManager.schedulePhaseTimer(roomAfter, emitPhaseChange);
-
+            handleVote(roomCode, playerId, { targetId });
         } catch (error) {
-            socket.emit('ERROR', { message: error.message });
+            socket.emit('ERROR', { message: error.message, code: error.code });
         }
     });
 
     // Player chat
-    socket.on('SEND_CHAT', ({ message }) => {
+    socket.on('SEND_CHAT', ({ message, channel = CHAT_CHANNELS.PUBLIC }) => {
         const { roomCode, playerId } = socket.data;
         try {
             if (!roomCode || !playerId) throw new Error('Không xác định phòng');
@@ -640,14 +970,7 @@ io.on('connection', (socket) => {
                 throw new Error(`Chat quá nhanh, thử lại sau ${limit.waitTime || 1}s`);
             }
 
-            const validation = rateLimiter.validateChatMessage(message);
-            if (!validation.valid) throw new Error(validation.error);
-
-            const room = gameManager.getRoom(roomCode);
-            if (!room || !room.chatEnabled) throw new Error('Chat đang tắt');
-
-            const payload = gameManager.addChatMessage(roomCode, playerId, message);
-            io.to(roomCode).emit('CHAT_MESSAGE', payload);
+            handleChat(roomCode, playerId, { message, channel });
         } catch (error) {
             socket.emit('ERROR', { message: error.message });
         }
@@ -656,78 +979,84 @@ io.on('connection', (socket) => {
     socket.on('NEXT_PHASE', () => {
         const { roomCode, playerId } = socket.data;
         try {
-            const room = gameManager.advancePhase(roomCode, playerId);
+            // advancePhase starts the new phase's deadline (see PhaseTimer.js)
+            gameManager.advancePhase(roomCode, playerId);
+            emitPhaseChange(roomCode);
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message, code: error.code });
+        }
+    });
 
-            // Clear any existing timer when changing phase
-            if (room.phaseTimer) {
-                clearInterval(room.phaseTimer);
-                room.phaseTimer = null;
-            }
+    // Host timer controls: everyone gets the new deadline in TIMER_UPDATE
+    socket.on('PAUSE_TIMER', () => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            gameManager.pauseTimer(roomCode, playerId);
+            io.to(roomCode).emit('TIMER_UPDATE', gameManager.getTimerView(roomCode));
+            persistRooms();
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message, code: error.code });
+        }
+    });
 
-            io.to(roomCode).emit('PHASE_CHANGED', {
-                phase: room.phase,
-                day: room.day,
-                logs: room.actionLog,
-                winner: room.winner, // Send winner data for game over screen
-                executedPlayerId: room.executedPlayerId, // Send who was executed
-                pendingExecutionId: room.pendingExecutionId,
-                defenseEndsAt: room.defenseEndsAt,
-                nightDeaths: room.lastNightDeaths || []
-            });
+    socket.on('RESUME_TIMER', () => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            gameManager.resumeTimer(roomCode, playerId);
+            io.to(roomCode).emit('TIMER_UPDATE', gameManager.getTimerView(roomCode));
+            persistRooms();
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message, code: error.code });
+        }
+    });
 
-            // Start auto-timer for DAY phase
-            if (room.phase === 'day') {
-                const duration = room.dayPhaseDuration || 60;
-                console.log(`[TIMER] Starting ${duration}s timer for DAY phase in room ${roomCode}`);
-
-                let timeLeft = duration;
-
-                // Emit initial timer
-                io.to(roomCode).emit('TIMER_UPDATE', { timeLeft });
-
-                // Update timer every second
-                room.phaseTimer = setInterval(() => {
-                    timeLeft--;
-                    io.to(roomCode).emit('TIMER_UPDATE', { timeLeft });
-
-                    if (timeLeft <= 0) {
-                        clearInterval(room.phaseTimer);
-                        room.phaseTimer = null;
-
-                        // Auto-advance to VOTE phase
-                        console.log(`[TIMER] Auto-advancing to VOTE phase in room ${roomCode}`);
-                        try {
-                            const updatedRoom = gameManager.advancePhase(roomCode, playerId);
-
-                            // Clear timer and hide UI
-                            io.to(roomCode).emit('TIMER_UPDATE', { timeLeft: -1 });
-
-                            io.to(roomCode).emit('PHASE_CHANGED', {
-                                phase: updatedRoom.phase,
-                                day: updatedRoom.day,
-                                logs: updatedRoom.actionLog,
-                                winner: updatedRoom.winner,
-                                executedPlayerId: updatedRoom.executedPlayerId,
-                                pendingExecutionId: updatedRoom.pendingExecutionId,
-                                defenseEndsAt: updatedRoom.defenseEndsAt,
-                                nightDeaths: updatedRoom.lastNightDeaths || []
-                            });
-                        } catch (error) {
-                            console.error('[TIMER] Auto-advance error:', error);
-                        }
-                    }
-                }, 1000);
-            } else {
-                // Hide timer for non-DAY phases
-                io.to(roomCode).emit('TIMER_UPDATE', { timeLeft: -1 });
-            }
+    socket.on('EXTEND_TIMER', ({ seconds } = {}) => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            gameManager.extendTimer(roomCode, playerId, seconds);
+            io.to(roomCode).emit('TIMER_UPDATE', gameManager.getTimerView(roomCode));
+            persistRooms();
         } catch (error) {
-            socket.emit('ERROR', { message: error.message });
+            socket.emit('ERROR', { message: error.message, code: error.code });
         }
+    });
 
-        // AI re-schedule timer after manual advance
-        const room = gameManager.getRoom(roomCode);
-        gameManager.schedulePhaseTimer(room, emitPhaseChange);
+    // Host pause: timers freeze and actions/votes are rejected with GAME_PAUSED
+    socket.on('PAUSE_GAME', () => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const room = gameManager.pauseGame(roomCode, playerId);
+            io.to(roomCode).emit('GAME_PAUSED', { paused: true, timer: gameManager.getTimerView(roomCode), logs: room.actionLog });
+            persistRooms();
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message, code: error.code });
+        }
+    });
+
+    socket.on('RESUME_GAME', () => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const room = gameManager.resumeGame(roomCode, playerId);
+            io.to(roomCode).emit('GAME_PAUSED', { paused: false, timer: gameManager.getTimerView(roomCode), logs: room.actionLog });
+            armIdleWarnings(roomCode);
+            botController.schedule(roomCode);
+            persistRooms();
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message, code: error.code });
+        }
+    });
+
+    // Roll back the last phase advance (mis-clicked NEXT_PHASE)
+    socket.on('UNDO_PHASE', () => {
+        const { roomCode, playerId } = socket.data;
+        try {
+            const room = gameManager.undoLastAdvance(roomCode, playerId);
+            io.to(roomCode).emit('PHASE_UNDONE', { phase: room.phase, day: room.day });
+            emitPhaseChange(roomCode);
+            if (room.phase === 'night') emitWolfTally(roomCode);
+        } catch (error) {
+            socket.emit('ERROR', { message: error.message, code: error.code });
+        }
     });
 
     socket.on('END_GAME', () => {
@@ -742,13 +1071,13 @@ io.on('connection', (socket) => {
 
             // Also emit PHASE_CHANGED to update UI
             io.to(roomCode).emit('PHASE_CHANGED', {
-                phase: 'lobby',
-                day: 0,
+                phase: room.phase,
+                day: room.day,
                 logs: room.actionLog
             });
 
             // Clear chat and sync
-            io.to(roomCode).emit('CHAT_SYNC', { enabled: room.chatEnabled, log: room.chatLog });
+            emitChatSync(roomCode);
 
             // If owner was playing, ask them to return to setup
             if (room.ownerId) {
@@ -772,13 +1101,13 @@ io.on('connection', (socket) => {
             // Better to emit a full refresh/lobby event
             const playerView = gameManager.getPlayerView(roomCode, playerId);
             io.to(roomCode).emit('PHASE_CHANGED', {
-                phase: 'lobby',
-                day: 0,
+                phase: room.phase,
+                day: room.day,
                 logs: room.actionLog
             });
 
             // Clear chat and sync
-            io.to(roomCode).emit('CHAT_SYNC', { enabled: room.chatEnabled, log: room.chatLog });
+            emitChatSync(roomCode);
 
             // If owner was playing, ask them to return to setup
             if (room.ownerId) {
@@ -843,7 +1172,10 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', () => {
         const { roomCode, playerId } = socket.data;
-        if (roomCode && playerId) {
+        if (roomCode && playerId && socket.data.spectator) {
+            // Spectators hold no game state: just drop them
+            if (gameManager.leaveSpectator(roomCode, playerId)) emitSpectatorCount(roomCode);
+        } else if (roomCode && playerId) {
             const room = gameManager.getRoom(roomCode);
             if (room) {
                 const player = room.players.find(p => p.id === playerId);
@@ -857,21 +1189,15 @@ io.on('connection', (socket) => {
                     });
 
                     // Set Grace Timer
-                    room.hostLeftTimer = setTimeout(() => {
-                        gameManager.rooms.delete(roomCode);
-                        console.log(`[SERVER] Room ${roomCode} deleted after Host timeout`);
-                        // Notify if anyone is still there (though they likely got kicked or stuck)
-                        // io.to(roomCode).emit('ADMIN_ROOM_CLOSED', { message: 'Host không quay lại. Phòng đã đóng.' });
-                        // Room is gone, emit won't work potentially if socket group cleaned up.
-                    }, 60000);
+                    gameManager.startHostGrace(roomCode);
 
                 } else if (player) {
                     const inProgress = room.phase !== 'lobby' || room.aiHostEnabled;
                     if (inProgress) {
                         // Keep player for reconnection (especially host turned player in AI mode)
-                        player.connected = false;
-                        room.votes.delete(playerId);
-                        room.actions.delete(playerId);
+                        gameManager.handleDisconnect(roomCode, playerId);
+                        // The dropped wolf's KILL vote is gone from the tally
+                        if (room.phase === 'night' && player.faction === FACTIONS.WOLF) emitWolfTally(roomCode);
 
                         io.to(roomCode).emit('PLAYER_DISCONNECTED', {
                             playerId,
@@ -903,6 +1229,25 @@ io.on('connection', (socket) => {
             }
         }
         rateLimiter.cleanup(socket.id);
+        persistRooms();
+    });
+});
+
+// Restore rooms saved before the last shutdown/crash and resume their phase deadlines and grace periods
+const restoredRooms = gameManager.restoreRooms(roomStore.load());
+if (restoredRooms > 0) {
+    gameManager.resumePhaseTimers();
+    gameManager.resumeGraceTimers();
+    gameManager.rooms.forEach((room, roomCode) => botController.schedule(roomCode));
+    console.log(`[ROOM_STORE] Restored ${restoredRooms} room(s)`);
+}
+
+// Write pending changes before the platform stops us (deploys send SIGTERM)
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+        roomStore.flush();
+        profileStore.flush();
+        process.exit(0);
     });
 });
 
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/**
+ * Headless game simulator - drives GameManager directly, no sockets
+ *
+ *   node simulate.js --roles wolf=2,seer=1,witch=1 --players 8 --games 1000
+ *   node simulate.js --roles wolf=2,seer=1 --roles wolf=2,bodyguard=1 --strategy random --json
+ *
+ * Options:
+ *   --roles     role config, repeatable: id=count[:traitorMode] (rest of the players are villagers)
+ *   --players   players per game, host excluded (default 8)
+ *   --games     games per config (default 1000)
+ *   --strategy  smart | random (default smart)
+ *   --consensus wolf consensus mode (default plurality)
+ *   --seed      base seed: same seed, same results (default random)
+ *   --no-impact skip the ability-impact re-runs (much faster)
+ *   --json      print the report as JSON
+ *
+ * Ability impact: every game is re-run with the same seed while one role's abilities are
+ * never used; the role "changed the outcome" when the winning faction differs.
+ */
+const { GameManager } = require('./GameManager');
+const { getRole } = require('./roles');
+const { createRng, randomSeed } = require('./rng');
+const { STRATEGIES, isWolf } = require('./botStrategies');
+
+const MAX_DAYS = 30; // Safety net: a game still running by then counts as stalled
+
+/**
+ * Play one game to the end (strategies: see botStrategies.js)
+ * disabledRole: players with this role never use their abilities (impact re-runs)
+ * sim.known comes from public Seer claims: everyone trusts a living Seer.
+ * sim.rng is reseeded for every decision, so a re-run where one role stays idle
+ * only diverges through what actually happened in the game, not through shifted draws.
+ * Returns { faction, reason, days, stalled, roles }
+ */
+function simulateGame({ roleConfig, players, strategy, seed, consensus = null, disabledRole = null }) {
+    const manager = new GameManager({ seed });
+    const { roomCode, playerId: hostId } = manager.createRoom('Host');
+    for (let i = 1; i <= players; i++) manager.joinRoom(roomCode, `P${i}`);
+    if (consensus) manager.setWolfConsensus(roomCode, hostId, consensus);
+
+    const room = manager.startGame(roomCode, hostId, roleConfig);
+    const sim = {
+        manager,
+        room,
+        rng: null,
+        known: new Map(),
+        wolfTarget: null,
+        alive: () => room.players.filter(p => p.alive && !p.isHost),
+        findPlayer: (id) => room.players.find(p => p.id === id)
+    };
+    const canAct = (p) => p.role !== disabledRole;
+    const decide = (player, decision, fn) => {
+        sim.rng = createRng(`${seed}:${room.day}:${room.phase}:${player.name}:${decision}`);
+        return fn();
+    };
+    // Swallow rejected submissions (used abilities, Bodyguard repeats...) like a client would
+    const attempt = (fn) => {
+        try {
+            fn();
+        } catch (error) {
+            // ignore
+        }
+    };
+
+    while (room.phase !== 'end' && room.day <= MAX_DAYS) {
+        if (room.phase === 'night') {
+            sim.wolfTarget = null;
+            // Wolves first so the Witch sees tonight's target
+            const actors = sim.alive().filter(canAct).sort((a, b) => isWolf(b) - isWolf(a));
+            actors.forEach(player => {
+                const role = getRole(player.role);
+                Object.entries(role.actions).forEach(([actionType, def]) => {
+                    if (![].concat(def.phase || 'night').includes('night')) return;
+                    const targetId = decide(player, actionType, () => strategy.night(sim, player, actionType, def));
+                    if (targetId) attempt(() => manager.submitAction(roomCode, player.id, actionType, targetId));
+                });
+            });
+        } else if (room.phase === 'day') {
+            // Seers claim what they found; everyone trusts a living Seer
+            sim.alive().filter(p => p.role === 'seer').forEach(seer => {
+                (seer.privateResults || []).forEach(r => sim.known.set(r.targetId, r.result));
+            });
+            sim.alive().filter(p => p.role === 'lawyer' && canAct(p)).forEach(lawyer => {
+                const targetId = decide(lawyer, 'LAWYER_PROTECT', () => strategy.lawyer(sim, lawyer));
+                if (targetId) attempt(() => manager.submitLawyerProtect(roomCode, lawyer.id, targetId));
+            });
+        } else if (room.phase === 'vote') {
+            sim.alive().forEach(p => manager.submitVote(roomCode, p.id, decide(p, 'VOTE', () => strategy.vote(sim, p))));
+        } else if (room.phase === 'final_verdict') {
+            sim.alive().forEach(p => {
+                const choice = decide(p, 'VERDICT', () => strategy.verdict(sim, p, room.pendingExecutionId));
+                manager.submitVote(roomCode, p.id, choice);
+            });
+        }
+        manager.advancePhase(roomCode, hostId);
+    }
+
+    return {
+        faction: room.winner ? room.winner.faction : null,
+        reason: room.winner ? room.winner.reason : null,
+        days: room.day,
+        stalled: room.phase !== 'end',
+        roles: Array.from(new Set(room.players.filter(p => !p.isHost).map(p => p.role)))
+    };
+}
+
+/**
+ * Run `games` games of one role config and aggregate
+ */
+function simulateConfig({ roleConfig, players, games, strategy = 'smart', seed = randomSeed(), consensus = null, impact = true }) {
+    const strategyImpl = STRATEGIES[strategy];
+    if (!strategyImpl) throw new Error(`Unknown strategy "${strategy}"`);
+
+    const wins = {};
+    const impactCounts = {}; // role -> { games, changed }
+    let totalDays = 0;
+    let stalled = 0;
+
+    for (let i = 0; i < games; i++) {
+        const gameSeed = `${seed}:${i}`;
+        const options = { roleConfig, players, strategy: strategyImpl, seed: gameSeed, consensus };
+        const result = simulateGame(options);
+
+        if (result.stalled) stalled++;
+        else wins[result.faction] = (wins[result.faction] || 0) + 1;
+        totalDays += result.days;
+
+        if (!impact) continue;
+        result.roles
+            .filter(roleId => Object.keys(getRole(roleId).actions).length > 0)
+            .forEach(roleId => {
+                const without = simulateGame({ ...options, disabledRole: roleId });
+                if (!impactCounts[roleId]) impactCounts[roleId] = { games: 0, changed: 0 };
+                impactCounts[roleId].games++;
+                if (without.faction !== result.faction) impactCounts[roleId].changed++;
+            });
+    }
+
+    const ratio = (n, total) => (total > 0 ? Math.round((n / total) * 1000) / 1000 : 0);
+    return {
+        roleConfig,
+        players,
+        games,
+        strategy,
+        seed,
+        winRates: Object.fromEntries(Object.entries(wins).map(([faction, n]) => [faction, ratio(n, games)])),
+        stalledRate: ratio(stalled, games),
+        averageDays: Math.round((totalDays / games) * 100) / 100,
+        abilityImpact: impact
+            ? Object.fromEntries(Object.entries(impactCounts).map(([roleId, c]) => [roleId, ratio(c.changed, c.games)]))
+            : null
+    };
+}
+
+// "wolf=2,seer=1,traitor=1:wolfAlly" -> { wolf: { count: 2 }, seer: { count: 1 }, traitor: { count: 1, mode: 'wolfAlly' } }
+function parseRoleConfig(spec) {
+    const config = {};
+    String(spec).split(',').filter(Boolean).forEach(part => {
+        const [roleId, value = '1'] = part.split('=');
+        const [count, mode] = value.split(':');
+        if (!getRole(roleId)) throw new Error(`Unknown role "${roleId}"`);
+        config[roleId] = mode ? { count: Number(count), mode } : { count: Number(count) };
+    });
+    return config;
+}
+
+function parseArgs(argv) {
+    const args = { roles: [], players: 8, games: 1000, strategy: 'smart', consensus: null, seed: null, impact: true, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--roles') args.roles.push(argv[++i]);
+        else if (arg === '--players') args.players = Number(argv[++i]);
+        else if (arg === '--games') args.games = Number(argv[++i]);
+        else if (arg === '--strategy') args.strategy = argv[++i];
+        else if (arg === '--consensus') args.consensus = argv[++i];
+        else if (arg === '--seed') args.seed = argv[++i];
+        else if (arg === '--no-impact') args.impact = false;
+        else if (arg === '--json') args.json = true;
+        else throw new Error(`Unknown option "${arg}"`);
+    }
+    if (args.roles.length === 0) args.roles.push('wolf=2,seer=1,witch=1,bodyguard=1');
+    return args;
+}
+
+const percent = (x) => `${(x * 100).toFixed(1)}%`;
+
+function printReport(report) {
+    const config = Object.entries(report.roleConfig).map(([id, c]) => `${id}=${c.count}${c.mode ? ':' + c.mode : ''}`).join(',');
+    console.log(`\n=== ${config} · ${report.players} người chơi · ${report.games} ván · ${report.strategy} (seed ${report.seed})`);
+    console.log(`Tỉ lệ thắng: ${Object.entries(report.winRates).map(([f, r]) => `${f} ${percent(r)}`).join(' · ')}` +
+        (report.stalledRate ? ` · bế tắc ${percent(report.stalledRate)}` : ''));
+    console.log(`Độ dài trung bình: ${report.averageDays} ngày`);
+    if (report.abilityImpact) {
+        console.log(`Chức năng đổi kết quả: ${Object.entries(report.abilityImpact).map(([r, x]) => `${r} ${percent(x)}`).join(' · ') || '-'}`);
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const seed = args.seed || randomSeed();
+
+    // GameManager logs every step; a thousand games would flood the terminal
+    const log = console.log;
+    const reports = args.roles.map(spec => {
+        console.log = () => {};
+        try {
+            return simulateConfig({
+                roleConfig: parseRoleConfig(spec),
+                players: args.players,
+                games: args.games,
+                strategy: args.strategy,
+                seed,
+                consensus: args.consensus,
+                impact: args.impact
+            });
+        } finally {
+            console.log = log;
+        }
+    });
+
+    if (args.json) console.log(JSON.stringify(reports, null, 2));
+    else reports.forEach(printReport);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`[SIMULATE] ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { simulateGame, simulateConfig, parseRoleConfig, STRATEGIES };
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./helpers');
+
+const afkSettings = (game, settings) => game.manager.setAfkSettings(game.roomCode, game.hostId, settings);
+const skip = (game, player) => game.manager.submitAction(game.roomCode, player.id, 'SKIP', null);
+
+describe('AFK handling', () => {
+    it('warns on a missed turn, marks AFK at maxMissed, and any move brings the player back', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const wolf = game.byRole('wolf');
+
+        game.endNight();
+        assert.equal(wolf.missedPhases, 1);
+        assert.equal(wolf.afk, false);
+        assert.deepEqual(game.manager.takeAfkNotices(game.roomCode).map(n => n.playerId), [wolf.id]);
+
+        // Everyone but the wolf votes
+        game.vote(game.alive().filter(p => p !== wolf).map(p => [p, 'SKIP']));
+        assert.equal(wolf.afk, true);
+        assert.equal(game.events('PLAYER_AFK')[0].data.playerId, wolf.id);
+
+        game.manager.addChatMessage(game.roomCode, wolf.id, 'xin lỗi, mình đây');
+        assert.equal(wolf.afk, false);
+        assert.equal(wolf.missedPhases, 0);
+        assert.equal(game.events('PLAYER_BACK').length, 1);
+    });
+
+    it('players with nothing to do never miss a turn', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        skip(game, game.byRole('wolf'));
+        game.endNight();
+
+        assert.ok(game.room.players.every(p => !p.missedPhases));
+    });
+
+    it('SKIP fills in the turns of AFK players, which still count as missed', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        afkSettings(game, { policy: 'skip', maxMissed: 1 });
+        const wolf = game.byRole('wolf');
+
+        game.endNight();
+        assert.equal(wolf.afk, true);
+        assert.ok(game.room.discussionReady.has(wolf.id));
+
+        game.advance();
+        assert.equal(game.room.votes.get(wolf.id), 'SKIP');
+        game.vote(game.alive().filter(p => p !== wolf).map(p => [p, 'SKIP']));
+        assert.equal(wolf.afk, true);
+        assert.equal(wolf.missedPhases, 2);
+    });
+
+    it('EXCLUDE leaves AFK players out of the readiness counts', () => {
+        const game = createGame({ wolf: { count: 1 }, seer: { count: 1 } }, 5);
+        afkSettings(game, { policy: 'exclude', maxMissed: 1 });
+        const seer = game.byRole('seer');
+
+        skip(game, game.byRole('wolf'));
+        game.endNight();
+        assert.equal(seer.afk, true);
+
+        game.vote(game.alive().filter(p => p !== seer).map(p => [p, 'SKIP']));
+        game.advance();
+        assert.equal(game.room.phase, 'night');
+        assert.deepEqual(game.manager.getActionStatus(game.roomCode), { submitted: 0, total: 1 });
+    });
+
+    it('REMOVE takes the player out before the phase resolves', () => {
+        const game = createGame({ wolf: { count: 1 }, seer: { count: 1 } }, 5);
+        afkSettings(game, { policy: 'remove', maxMissed: 1 });
+        const seer = game.byRole('seer');
+        const victim = game.byRole('villager');
+
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.endNight();
+
+        assert.equal(seer.alive, false);
+        assert.equal(victim.alive, false);
+        assert.deepEqual(game.events('PLAYER_DIED').map(e => e.data.cause), ['afk', 'wolf']);
+        assert.equal(game.room.phase, 'day');
+    });
+
+    it('REMOVE can end the game', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        afkSettings(game, { policy: 'remove', maxMissed: 1 });
+
+        game.endNight();
+
+        assert.equal(game.room.phase, 'end');
+        assert.equal(game.room.winner.faction, 'villager');
+    });
+
+    it('the idle warning only fires while the phase still waits on the player', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const wolf = game.byRole('wolf');
+        const needs = () => game.manager.needsToAct(game.roomCode, wolf.id);
+
+        assert.equal(needs(), true);
+        assert.equal(game.manager.needsToAct(game.roomCode, game.byRole('villager').id), false);
+        game.manager.pauseGame(game.roomCode, game.hostId);
+        assert.equal(needs(), false);
+        game.manager.resumeGame(game.roomCode, game.hostId);
+        skip(game, wolf);
+        assert.equal(needs(), false);
+    });
+
+    it('only the host changes the settings, within limits', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+
+        assert.throws(() => game.manager.setAfkSettings(game.roomCode, game.alive()[0].id, { policy: 'skip' }));
+        assert.throws(() => afkSettings(game, { policy: 'kick' }));
+        assert.throws(() => afkSettings(game, { maxMissed: 0 }));
+        assert.deepEqual(afkSettings(game, { policy: 'remove', maxMissed: 3 }).afkSettings, { policy: 'remove', maxMissed: 3, warnAfter: 20 });
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers'); // quiet GameManager logs
+const { GameManager } = require('../GameManager');
+const { BotController } = require('../BotController');
+
+// A room of `count` bots; bots.schedule() plays every bot at once (no delay)
+function botRoom(count, { level = 'normal', seed = 'bots' } = {}) {
+    const manager = new GameManager({ seed });
+    const bots = new BotController({ manager, delay: { min: 0, max: 0 } });
+    const { roomCode, playerId: hostId } = manager.createRoom('Host');
+    for (let i = 0; i < count; i++) manager.addBot(roomCode, hostId, level);
+    return { manager, bots, roomCode, hostId, room: manager.getRoom(roomCode) };
+}
+
+// Let the bots play every phase until the game ends
+function playOut({ manager, bots, roomCode, hostId, room }) {
+    while (room.phase !== 'end' && room.day <= 30) {
+        bots.schedule(roomCode);
+        const waitingOn = room.players.filter(p => p.isBot && manager.needsToAct(roomCode, p.id));
+        assert.deepEqual(waitingOn.map(p => `${room.phase}:${p.role}`), []);
+        manager.advancePhase(roomCode, hostId);
+    }
+    return room.winner;
+}
+
+describe('bot players', () => {
+    it('join the lobby with their own names and get roles like everyone else', () => {
+        const game = botRoom(5);
+        const bots = game.room.players.filter(p => p.isBot);
+
+        assert.equal(new Set(bots.map(p => p.name)).size, 5);
+        game.manager.startGame(game.roomCode, game.hostId, { wolf: { count: 1 }, seer: { count: 1 } });
+        assert.deepEqual(bots.map(p => p.role).sort(), ['seer', 'villager', 'villager', 'villager', 'wolf']);
+        assert.throws(() => game.manager.addBot(game.roomCode, game.hostId), /phòng chờ/);
+    });
+
+    it('only the host adds bots, within the room size and known levels', () => {
+        const game = botRoom(3);
+        game.manager.setMaxPlayers(game.roomCode, game.hostId, 3);
+        const botId = game.room.players.find(p => p.isBot).id;
+
+        assert.throws(() => game.manager.addBot(game.roomCode, game.hostId), /đầy/);
+        game.manager.kickPlayer(game.roomCode, game.hostId, botId);
+        assert.throws(() => game.manager.addBot(game.roomCode, botId));
+        assert.throws(() => game.manager.addBot(game.roomCode, game.hostId, 'insane'));
+        game.manager.addBot(game.roomCode, game.hostId, 'hard');
+    });
+
+    it('a room of bots plays a full game without anyone waiting on them', () => {
+        ['easy', 'normal', 'hard'].forEach(level => {
+            const game = botRoom(8, { level });
+            game.manager.startGame(game.roomCode, game.hostId, { wolf: { count: 2 }, seer: { count: 1 }, witch: { count: 1 }, lawyer: { count: 1 } });
+
+            const winner = playOut(game);
+            assert.ok(winner, `${level} bots finished the game`);
+        });
+    });
+
+    it('press ready in the day phase', () => {
+        const game = botRoom(5);
+        game.manager.startGame(game.roomCode, game.hostId, { wolf: { count: 1 } });
+        game.bots.schedule(game.roomCode);
+        game.manager.advancePhase(game.roomCode, game.hostId);
+        if (game.room.phase === 'end') return;
+
+        game.bots.schedule(game.roomCode);
+        const alive = game.room.players.filter(p => p.isBot && p.alive);
+        assert.ok(alive.every(p => game.room.discussionReady.has(p.id)));
+    });
+
+    it('the same seed plays the same game', () => {
+        const run = () => {
+            const game = botRoom(7, { seed: 'replayable' });
+            game.manager.startGame(game.roomCode, game.hostId, { wolf: { count: 2 }, seer: { count: 1 }, bodyguard: { count: 1 } });
+            const winner = playOut(game);
+            return `${winner.faction}:${game.room.day}:${game.room.players.map(p => p.alive).join()}`;
+        };
+        assert.equal(run(), run());
+    });
+
+    it('hard bots act on Seer claims made in public chat, never on hidden roles', () => {
+        const check = (level) => {
+            const game = botRoom(5, { level });
+            game.manager.startGame(game.roomCode, game.hostId, { wolf: { count: 1 }, seer: { count: 1 } });
+            const seer = game.room.players.find(p => p.role === 'seer');
+            const wolf = game.room.players.find(p => p.role === 'wolf');
+            const villager = game.room.players.find(p => p.role === 'villager');
+            seer.isBot = false; // a human Seer checks the wolf, then claims it
+            game.manager.submitAction(game.roomCode, seer.id, 'CHECK', wolf.id);
+            game.bots.schedule(game.roomCode);
+            game.manager.advancePhase(game.roomCode, game.hostId);
+            seer.isBot = true;
+            seer.botLevel = level;
+            const before = game.bots.knowledge(game.room, villager).get(wolf.id);
+
+            game.bots.schedule(game.roomCode);
+            const claim = game.room.chatLogs.public.find(m => m.playerId === seer.id);
+            return { before, after: game.bots.knowledge(game.room, villager).get(wolf.id), claim };
+        };
+        const hard = check('hard');
+        assert.equal(hard.before, undefined);
+        assert.equal(hard.after, 'wolf');
+        assert.match(hard.claim.message, /Tiên Tri/);
+        const normal = check('normal');
+        assert.equal(normal.after, undefined);
+        assert.equal(normal.claim, undefined);
+    });
+
+    it('a lone Alpha bot never trades its kill for the curse', () => {
+        for (let i = 0; i < 20; i++) {
+            const game = botRoom(5, { seed: `alpha-${i}` });
+            game.manager.startGame(game.roomCode, game.hostId, { alphaWolf: { count: 1 } });
+            game.bots.schedule(game.roomCode);
+            const alpha = game.room.players.find(p => p.role === 'alphaWolf');
+            assert.equal(game.room.actions.get(alpha.id).type, 'KILL', `seed alpha-${i}`);
+        }
+    });
+
+    it('a wolf whose pack target left the room still plays its turn', () => {
+        const game = botRoom(5);
+        game.manager.startGame(game.roomCode, game.hostId, { wolf: { count: 1 } });
+        const wolf = game.room.players.find(p => p.role === 'wolf');
+        game.bots.wolfTargets.set(game.roomCode, { night: `${game.room.gameId}:${game.room.day}`, targetId: 'kicked' });
+
+        game.bots.playTurn(game.roomCode, wolf.id);
+
+        const action = game.room.actions.get(wolf.id);
+        assert.equal(action.type, 'KILL');
+        assert.ok(game.room.players.some(p => p.id === action.targetId));
+    });
+
+    it('bots stay connected across a restart', () => {
+        const game = botRoom(3);
+        const restored = new GameManager();
+        restored.restoreRooms(game.manager.serializeRooms());
+
+        const players = restored.getRoom(game.roomCode).players;
+        assert.ok(players.filter(p => p.isBot).every(p => p.connected));
+        assert.equal(players.find(p => p.isHost).connected, false);
+    });
+});
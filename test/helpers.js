@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const { GameManager } = require('../GameManager');
+
+// GameManager logs every step; keep test output readable (DEBUG=1 shows it)
+if (!process.env.DEBUG) console.log = () => {};
+
+/**
+ * Fixture: a started game with `playerCount` players (host excluded)
+ * Roles are still dealt by GameManager; look players up by role with byRole().
+ * The seed only makes failures reproducible, tests never depend on who got which role.
+ */
+function createGame(roleConfig, playerCount, { seed = 'test', wolfConsensus = null } = {}) {
+    const game = { replay: null };
+    const manager = new GameManager({ seed, onReplay: replay => { game.replay = replay; } });
+    const { roomCode, playerId: hostId } = manager.createRoom('Host');
+    for (let i = 1; i <= playerCount; i++) manager.joinRoom(roomCode, `P${i}`);
+    if (wolfConsensus) manager.setWolfConsensus(roomCode, hostId, wolfConsensus);
+    const room = manager.startGame(roomCode, hostId, roleConfig);
+
+    const ids = (targets) => (Array.isArray(targets) ? targets.map(t => t.id) : targets.id);
+
+    return Object.assign(game, {
+        manager,
+        room,
+        roomCode,
+        hostId,
+        byRole: (roleId, index = 0) => room.players.filter(p => p.role === roleId)[index],
+        alive: () => room.players.filter(p => p.alive && !p.isHost),
+        act: (player, actionType, target) => manager.submitAction(roomCode, player.id, actionType, ids(target)),
+        advance: () => manager.advancePhase(roomCode, hostId),
+
+        // Resolve the night and land on day (or end)
+        endNight() {
+            assert.equal(room.phase, 'night');
+            this.advance();
+        },
+
+        // Day vote: `votes` is [[voter, target], ...]; target may be 'SKIP'
+        vote(votes) {
+            if (room.phase === 'day') this.advance();
+            assert.equal(room.phase, 'vote');
+            votes.forEach(([voter, target]) => {
+                manager.submitVote(roomCode, voter.id, target === 'SKIP' ? 'SKIP' : target.id);
+            });
+            this.advance();
+        },
+
+        // From day/vote: everyone alive accuses `target`, then everyone votes `verdict`
+        lynch(target, verdict = 'EXECUTE') {
+            this.vote(this.alive().map(p => [p, target]));
+            assert.equal(room.phase, 'defense');
+            this.advance();
+            assert.equal(room.phase, 'final_verdict');
+            this.alive().forEach(p => manager.submitVote(roomCode, p.id, verdict));
+            this.advance();
+        },
+
+        // Events of the running game, or of the finished game's replay
+        events: (type) => (game.replay ? game.replay.events : room.events).filter(e => e.type === type)
+    });
+}
+
+module.exports = { createGame };
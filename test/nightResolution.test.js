@@ -0,0 +1,330 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./helpers');
+const { ERROR_CODES } = require('../errors');
+
+const deathCause = (game, player) => {
+    const death = game.events('PLAYER_DIED').find(e => e.data.playerId === player.id);
+    return death ? death.data.cause : null;
+};
+
+describe('resolveNight', () => {
+    it('wolf kill lands on the chosen target', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const wolf = game.byRole('wolf');
+        const victim = game.byRole('villager');
+
+        game.act(wolf, 'KILL', victim);
+        game.endNight();
+
+        assert.equal(victim.alive, false);
+        assert.equal(deathCause(game, victim), 'wolf');
+        assert.equal(game.room.phase, 'day');
+        assert.deepEqual(game.room.lastNightDeaths.map(d => d.id), [victim.id]);
+    });
+
+    it('bodyguard protection stops the wolf kill', () => {
+        const game = createGame({ wolf: { count: 1 }, bodyguard: { count: 1 } }, 4);
+        const victim = game.byRole('villager');
+
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(game.byRole('bodyguard'), 'PROTECT', victim);
+        game.endNight();
+
+        assert.equal(victim.alive, true);
+        assert.deepEqual(game.room.lastNightDeaths, []);
+    });
+
+    it('bodyguard cannot protect the same player two nights in a row', () => {
+        const game = createGame({ wolf: { count: 1 }, bodyguard: { count: 1 } }, 5);
+        const bodyguard = game.byRole('bodyguard');
+        const client = game.byRole('villager');
+
+        game.act(bodyguard, 'PROTECT', client);
+        game.endNight();
+        game.vote([]);
+        game.advance(); // execution_reveal -> night
+
+        assert.throws(() => game.act(bodyguard, 'PROTECT', client), { code: ERROR_CODES.INVALID_TARGET });
+    });
+
+    it('witch save on a target the bodyguard already protected still spends the potion', () => {
+        const game = createGame({ wolf: { count: 1 }, bodyguard: { count: 1 }, witch: { count: 1 } }, 5);
+        const witch = game.byRole('witch');
+        const victim = game.byRole('villager');
+
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(game.byRole('bodyguard'), 'PROTECT', victim);
+        game.act(witch, 'SAVE', victim);
+        game.endNight();
+
+        assert.equal(victim.alive, true);
+        // SAVE still resolves against the wolf target, so the potion is used
+        assert.equal(witch.attributes.hasSaved, true);
+    });
+
+    it('witch save on the wolf target keeps them alive and uses the potion', () => {
+        const game = createGame({ wolf: { count: 1 }, witch: { count: 1 } }, 4);
+        const witch = game.byRole('witch');
+        const victim = game.byRole('villager');
+
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(witch, 'SAVE', victim);
+        game.endNight();
+
+        assert.equal(victim.alive, true);
+        assert.equal(witch.attributes.hasSaved, true);
+    });
+
+    it('witch save on someone else does nothing and keeps the potion', () => {
+        const game = createGame({ wolf: { count: 1 }, witch: { count: 1 } }, 5);
+        const witch = game.byRole('witch');
+        const victim = game.byRole('villager', 0);
+
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(witch, 'SAVE', game.byRole('villager', 1));
+        game.endNight();
+
+        assert.equal(victim.alive, false);
+        assert.equal(witch.attributes.hasSaved, undefined);
+    });
+
+    it('witch kill on a protected target fails silently but spends the poison', () => {
+        const game = createGame({ wolf: { count: 1 }, bodyguard: { count: 1 }, witch: { count: 1 } }, 5);
+        const witch = game.byRole('witch');
+        const target = game.byRole('villager');
+
+        game.act(game.byRole('bodyguard'), 'PROTECT', target);
+        game.act(witch, 'KILL', target);
+        game.endNight();
+
+        assert.equal(target.alive, true);
+        assert.equal(witch.attributes.hasKilled, true);
+    });
+
+    it('witch kill lands on an unprotected target', () => {
+        const game = createGame({ wolf: { count: 1 }, witch: { count: 1 } }, 5);
+        const target = game.byRole('villager');
+
+        game.act(game.byRole('witch'), 'KILL', target);
+        game.endNight();
+
+        assert.equal(target.alive, false);
+        assert.equal(deathCause(game, target), 'witch');
+    });
+
+    it('alpha curse converts the wolf target instead of killing them', () => {
+        const game = createGame({ alphaWolf: { count: 1 }, wolf: { count: 1 }, seer: { count: 1 } }, 6);
+        const victim = game.byRole('villager');
+
+        // The Alpha's night action is either KILL or CURSE: the pack does the killing
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(game.byRole('alphaWolf'), 'CURSE', victim);
+        game.act(game.byRole('seer'), 'CHECK', victim);
+        game.endNight();
+
+        assert.equal(victim.alive, true);
+        assert.equal(victim.faction, 'wolf');
+        assert.equal(game.events('PLAYER_CONVERTED').length, 1);
+        // Seer resolves after the conversion
+        const result = game.byRole('seer').privateResults.at(-1);
+        assert.equal(result.result, 'wolf');
+    });
+
+    it('alpha curse on someone the wolves did not kill has no effect', () => {
+        const game = createGame({ alphaWolf: { count: 1 }, wolf: { count: 1 } }, 6);
+        const alpha = game.byRole('alphaWolf');
+        const victim = game.byRole('villager', 0);
+        const cursed = game.byRole('villager', 1);
+
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(alpha, 'CURSE', cursed);
+        game.endNight();
+
+        assert.equal(victim.alive, false);
+        assert.equal(cursed.faction, 'villager');
+        assert.equal(alpha.attributes.hasCursed, true);
+    });
+
+    it('curse is blocked when the bodyguard protects the wolf target', () => {
+        const game = createGame({ alphaWolf: { count: 1 }, wolf: { count: 1 }, bodyguard: { count: 1 } }, 6);
+        const victim = game.byRole('villager');
+
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(game.byRole('alphaWolf'), 'CURSE', victim);
+        game.act(game.byRole('bodyguard'), 'PROTECT', victim);
+        game.endNight();
+
+        assert.equal(victim.alive, true);
+        assert.equal(victim.faction, 'villager');
+    });
+
+    it('unanimous pack: the cursing Alpha and converted wolves are not waited on', () => {
+        const game = createGame({ alphaWolf: { count: 1 }, wolf: { count: 1 } }, 7, { wolfConsensus: 'unanimous' });
+        const [cursed, victim] = game.room.players.filter(p => p.role === 'villager');
+
+        game.act(game.byRole('wolf'), 'KILL', cursed);
+        game.act(game.byRole('alphaWolf'), 'CURSE', cursed);
+        game.endNight();
+        assert.equal(cursed.faction, 'wolf');
+        assert.equal(game.events('WOLF_TARGET')[0].data.reason, 'unanimous');
+
+        game.vote(game.alive().map(p => [p, 'SKIP']));
+        game.advance();
+        assert.equal(game.room.phase, 'night');
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(game.byRole('alphaWolf'), 'KILL', victim);
+        game.endNight();
+
+        assert.equal(victim.alive, false);
+        assert.equal(game.events('WOLF_TARGET')[1].data.reason, 'unanimous');
+    });
+
+    it('unanimous pack: AFK and disconnected wolves are not waited on', () => {
+        ['skip', 'exclude'].forEach(policy => {
+            const game = createGame({ wolf: { count: 3 } }, 7, { wolfConsensus: 'unanimous' });
+            game.manager.setAfkSettings(game.roomCode, game.hostId, { policy });
+            const [hunting, idle, dropped] = game.room.players.filter(p => p.role === 'wolf');
+            const victim = game.byRole('villager');
+
+            idle.afk = true;
+            game.manager.handleDisconnect(game.roomCode, dropped.id);
+            game.act(hunting, 'KILL', victim);
+            game.endNight();
+
+            assert.equal(victim.alive, false, policy);
+            assert.equal(game.events('WOLF_TARGET')[0].data.reason, 'unanimous');
+        });
+    });
+
+    it('hunter killed at night takes the pinned target along, through bodyguard protection', () => {
+        const game = createGame({ wolf: { count: 1 }, hunter: { count: 1 }, bodyguard: { count: 1 } }, 6);
+        const hunter = game.byRole('hunter');
+        const pinned = game.byRole('villager');
+
+        game.act(hunter, 'PIN', pinned);
+        game.act(game.byRole('bodyguard'), 'PROTECT', pinned);
+        game.act(game.byRole('wolf'), 'KILL', hunter);
+        game.endNight();
+
+        assert.equal(hunter.alive, false);
+        assert.equal(pinned.alive, false);
+        assert.equal(deathCause(game, pinned), 'hunter');
+        assert.deepEqual(game.room.lastNightDeaths.map(d => d.id).sort(), [hunter.id, pinned.id].sort());
+    });
+
+    it('hunter pin survives the hunter dying on a later day', () => {
+        const game = createGame({ wolf: { count: 1 }, hunter: { count: 1 } }, 6);
+        const hunter = game.byRole('hunter');
+        const pinned = game.byRole('villager');
+
+        game.act(hunter, 'PIN', pinned);
+        game.endNight();
+        game.lynch(hunter);
+
+        assert.equal(hunter.alive, false);
+        assert.equal(pinned.alive, false);
+        assert.equal(deathCause(game, pinned), 'hunter');
+    });
+
+    it('lovers die together', () => {
+        const game = createGame({ wolf: { count: 1 }, cupid: { count: 1 } }, 6);
+        const first = game.byRole('villager', 0);
+        const second = game.byRole('villager', 1);
+
+        game.act(game.byRole('cupid'), 'PAIR', [first, second]);
+        game.act(game.byRole('wolf'), 'KILL', first);
+        game.endNight();
+
+        assert.equal(first.alive, false);
+        assert.equal(second.alive, false);
+        assert.equal(deathCause(game, second), 'lovers');
+    });
+
+    it('cupid can only pair on the first night', () => {
+        const game = createGame({ wolf: { count: 1 }, cupid: { count: 1 } }, 6);
+        const cupid = game.byRole('cupid');
+
+        game.endNight();
+        game.vote([]);
+        game.advance();
+
+        assert.throws(
+            () => game.act(cupid, 'PAIR', [game.byRole('villager', 0), game.byRole('villager', 1)]),
+            { code: ERROR_CODES.ABILITY_UNAVAILABLE }
+        );
+    });
+
+    it('seer learns the faction of the checked player', () => {
+        const game = createGame({ wolf: { count: 1 }, seer: { count: 1 } }, 4);
+        const seer = game.byRole('seer');
+
+        game.act(seer, 'CHECK', game.byRole('wolf'));
+        game.endNight();
+
+        const result = seer.privateResults.at(-1);
+        assert.equal(result.result, 'wolf');
+        assert.equal(result.targetId, game.byRole('wolf').id);
+    });
+
+    it('detective sees night activity by role, not by action', () => {
+        const game = createGame({ wolf: { count: 1 }, detective: { count: 1 } }, 4);
+        const detective = game.byRole('detective');
+
+        game.act(detective, 'CHECK', game.byRole('wolf'));
+        game.endNight();
+        assert.equal(detective.privateResults.at(-1).result, 'active');
+
+        game.vote([]);
+        game.advance();
+        game.act(detective, 'CHECK', game.byRole('villager'));
+        game.endNight();
+        assert.equal(detective.privateResults.at(-1).result, 'inactive');
+    });
+
+    it('a player killed earlier in the night does not act', () => {
+        const game = createGame({ wolf: { count: 1 }, witch: { count: 1 } }, 5);
+        const witch = game.byRole('witch');
+        const target = game.byRole('villager');
+
+        game.act(game.byRole('wolf'), 'KILL', witch);
+        game.act(witch, 'KILL', target); // priority 60 runs after the wolf kill (50)
+        game.endNight();
+
+        assert.equal(witch.alive, false);
+        assert.equal(target.alive, true);
+    });
+});
+
+describe('action validation', () => {
+    it('rejects actions outside the night', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.endNight();
+        assert.throws(() => game.act(game.byRole('wolf'), 'KILL', game.byRole('villager')), { code: ERROR_CODES.WRONG_PHASE });
+    });
+
+    it('rejects actions the role does not have', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        assert.throws(() => game.act(game.byRole('villager'), 'KILL', game.byRole('wolf')), { code: ERROR_CODES.ACTION_NOT_ALLOWED });
+    });
+
+    it('rejects self-targeting unless the action allows it', () => {
+        const game = createGame({ seer: { count: 1 }, bodyguard: { count: 1 }, wolf: { count: 1 } }, 4);
+        const seer = game.byRole('seer');
+        const bodyguard = game.byRole('bodyguard');
+
+        assert.throws(() => game.act(seer, 'CHECK', seer), { code: ERROR_CODES.SELF_TARGET });
+        assert.doesNotThrow(() => game.act(bodyguard, 'PROTECT', bodyguard));
+    });
+
+    it('rejects dead targets', () => {
+        const game = createGame({ wolf: { count: 1 }, seer: { count: 1 } }, 5);
+        const victim = game.byRole('villager');
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.endNight();
+        game.vote([]);
+        game.advance();
+
+        assert.throws(() => game.act(game.byRole('seer'), 'CHECK', victim), { code: ERROR_CODES.TARGET_NOT_ALIVE });
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./helpers');
+const { ERROR_CODES } = require('../errors');
+
+describe('host pause', () => {
+    it('rejects actions, votes and advancing while paused', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const wolf = game.byRole('wolf');
+
+        game.manager.pauseGame(game.roomCode, game.hostId);
+
+        assert.throws(() => game.act(wolf, 'KILL', game.byRole('villager')), { code: ERROR_CODES.GAME_PAUSED });
+        assert.throws(() => game.advance(), { code: ERROR_CODES.GAME_PAUSED });
+
+        game.manager.resumeGame(game.roomCode, game.hostId);
+        game.act(wolf, 'KILL', game.byRole('villager'));
+        game.endNight();
+        game.advance();
+        game.manager.pauseGame(game.roomCode, game.hostId);
+        assert.throws(() => game.manager.submitVote(game.roomCode, wolf.id, 'SKIP'), { code: ERROR_CODES.GAME_PAUSED });
+    });
+
+    it('freezes the phase deadline and gives it back on resume', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.endNight();
+        const before = game.manager.getTimerView(game.roomCode);
+
+        game.manager.pauseGame(game.roomCode, game.hostId);
+        assert.equal(game.manager.getTimerView(game.roomCode).paused, true);
+        assert.throws(() => game.manager.resumeTimer(game.roomCode, game.hostId), { code: ERROR_CODES.GAME_PAUSED });
+
+        game.manager.resumeGame(game.roomCode, game.hostId);
+        const after = game.manager.getTimerView(game.roomCode);
+        assert.equal(after.paused, false);
+        assert.ok(after.remainingMs <= before.remainingMs && after.remainingMs > before.remainingMs - 1000);
+    });
+
+    it('a timer the host stopped on purpose stays stopped after resume', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.endNight();
+
+        game.manager.pauseTimer(game.roomCode, game.hostId);
+        game.manager.pauseGame(game.roomCode, game.hostId);
+        game.manager.resumeGame(game.roomCode, game.hostId);
+
+        assert.equal(game.manager.getTimerView(game.roomCode).paused, true);
+    });
+
+    it('only a running game can be paused', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        assert.throws(() => game.manager.resumeGame(game.roomCode, game.hostId));
+        assert.throws(() => game.manager.pauseGame(game.roomCode, game.byRole('wolf').id), /Host/);
+    });
+});
+
+describe('undo last advance', () => {
+    it('brings back the night: deaths, attributes, actions and logs', () => {
+        const game = createGame({ wolf: { count: 1 }, witch: { count: 1 } }, 5);
+        const witch = game.byRole('witch');
+        const victim = game.byRole('villager');
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.act(witch, 'KILL', game.byRole('villager', 1));
+        const logLength = game.room.actionLog.length;
+
+        game.endNight();
+        assert.equal(victim.alive, false);
+
+        game.manager.undoLastAdvance(game.roomCode, game.hostId);
+
+        assert.equal(game.room.phase, 'night');
+        assert.equal(game.byRole('villager').alive, true);
+        assert.equal(game.byRole('witch').attributes.hasKilled, undefined);
+        assert.equal(game.room.actions.get(witch.id).length, 1);
+        assert.equal(game.room.actionLog.length, logLength + 1); // + the undo note
+        assert.equal(game.events('PLAYER_DIED').length, 0);
+        assert.deepEqual(game.events('ADVANCE_UNDONE').map(e => e.data.from), ['day']);
+    });
+
+    it('brings back the votes and the phase deadline', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const accused = game.byRole('villager');
+        game.endNight();
+        game.advance();
+        game.alive().forEach(p => game.manager.submitVote(game.roomCode, p.id, accused.id));
+        game.advance();
+        assert.equal(game.room.phase, 'defense');
+
+        game.manager.undoLastAdvance(game.roomCode, game.hostId);
+
+        assert.equal(game.room.phase, 'vote');
+        assert.equal(game.room.votes.size, 4);
+        assert.equal(game.room.pendingExecutionId, null);
+        const timer = game.manager.getTimerView(game.roomCode);
+        assert.equal(timer.phase, 'vote');
+        assert.equal(timer.paused, false);
+    });
+
+    it('only one step back, and never after the game ended', () => {
+        const game = createGame({ wolf: { count: 1 } }, 3);
+        game.endNight();
+        game.advance();
+        game.manager.undoLastAdvance(game.roomCode, game.hostId);
+        assert.throws(() => game.manager.undoLastAdvance(game.roomCode, game.hostId), /hoàn tác/);
+
+        const ended = createGame({ wolf: { count: 1 } }, 3);
+        ended.act(ended.byRole('wolf'), 'KILL', ended.byRole('villager'));
+        ended.endNight();
+        assert.equal(ended.room.phase, 'end');
+        assert.throws(() => ended.manager.undoLastAdvance(ended.roomCode, ended.hostId), /kết thúc/);
+    });
+
+    it('a paused game stays paused after undo', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.endNight();
+        game.manager.pauseGame(game.roomCode, game.hostId);
+
+        game.manager.undoLastAdvance(game.roomCode, game.hostId);
+
+        assert.equal(game.room.phase, 'night');
+        assert.ok(game.room.paused);
+        assert.throws(() => game.act(game.byRole('wolf'), 'KILL', game.byRole('villager')), { code: ERROR_CODES.GAME_PAUSED });
+    });
+});
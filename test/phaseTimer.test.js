@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { createGame } = require('./helpers');
+const { GameManager } = require('../GameManager');
+
+// Day discussion of `seconds`, already started
+function dayWithDuration(seconds) {
+    const game = createGame({ wolf: { count: 1 } }, 4);
+    game.room.dayPhaseDuration = seconds;
+    game.phaseChanges = [];
+    game.manager.onPhaseChange = roomCode => game.phaseChanges.push(roomCode);
+    game.endNight();
+    return game;
+}
+
+describe('phase timer', () => {
+    it('every timed phase gets an absolute deadline; a human host only has day advanced for them', () => {
+        const game = dayWithDuration(60);
+        assert.equal(game.room.phase, 'day');
+        const dayTimer = game.manager.getTimerView(game.roomCode);
+        assert.equal(dayTimer.phase, 'day');
+        assert.equal(dayTimer.autoAdvance, true);
+        assert.ok(Math.abs(dayTimer.endsAt - (Date.now() + 60000)) < 1000);
+
+        game.advance();
+        const voteTimer = game.manager.getTimerView(game.roomCode);
+        assert.equal(voteTimer.phase, 'vote');
+        assert.equal(voteTimer.autoAdvance, false);
+
+        game.vote([]);
+        game.advance();
+        assert.equal(game.room.phase, 'night');
+        assert.equal(game.manager.getTimerView(game.roomCode), null);
+    });
+
+    it('the AI host has every phase advanced on time', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.room.aiHostEnabled = true;
+        game.manager.schedulePhaseTimer(game.room);
+
+        const timer = game.manager.getTimerView(game.roomCode);
+        assert.equal(timer.phase, 'night');
+        assert.equal(timer.autoAdvance, true);
+    });
+
+    it('advances the phase when the deadline passes and reports it', async () => {
+        const game = dayWithDuration(0.05);
+
+        await sleep(120);
+
+        assert.equal(game.room.phase, 'vote');
+        assert.deepEqual(game.phaseChanges, [game.roomCode]);
+    });
+
+    it('pause freezes the remaining time, resume continues from it', async () => {
+        const game = dayWithDuration(0.1);
+
+        game.manager.pauseTimer(game.roomCode, game.hostId);
+        const paused = game.manager.getTimerView(game.roomCode);
+        assert.equal(paused.paused, true);
+        assert.equal(paused.endsAt, null);
+        await sleep(200);
+        assert.equal(game.room.phase, 'day');
+        assert.equal(game.manager.getTimerView(game.roomCode).remainingMs, paused.remainingMs);
+
+        game.manager.resumeTimer(game.roomCode, game.hostId);
+        await sleep(200);
+        assert.equal(game.room.phase, 'vote');
+    });
+
+    it('extend moves the deadline, also while paused', () => {
+        const game = dayWithDuration(60);
+        const { endsAt } = game.manager.getTimerView(game.roomCode);
+
+        game.manager.extendTimer(game.roomCode, game.hostId, 30);
+        assert.equal(game.manager.getTimerView(game.roomCode).endsAt, endsAt + 30000);
+
+        game.manager.pauseTimer(game.roomCode, game.hostId);
+        const { remainingMs } = game.manager.getTimerView(game.roomCode);
+        game.manager.extendTimer(game.roomCode, game.hostId, -10);
+        assert.equal(game.manager.getTimerView(game.roomCode).remainingMs, remainingMs - 10000);
+    });
+
+    it('only the host controls the timer', () => {
+        const game = dayWithDuration(60);
+        const player = game.alive()[0];
+
+        assert.throws(() => game.manager.pauseTimer(game.roomCode, player.id), /Host/);
+        assert.throws(() => game.manager.extendTimer(game.roomCode, game.hostId, 'abc'));
+        assert.throws(() => game.manager.resumeTimer(game.roomCode, game.hostId)); // not paused
+    });
+
+    it('a restored room picks its saved deadline back up', async () => {
+        const game = dayWithDuration(60);
+        game.manager.extendTimer(game.roomCode, game.hostId, -59.9);
+        const snapshot = JSON.parse(JSON.stringify(game.manager.serializeRooms()));
+        game.manager.timers.clear(game.room);
+
+        const phaseChanges = [];
+        const restored = new GameManager({ onPhaseChange: roomCode => phaseChanges.push(roomCode) });
+        restored.restoreRooms(snapshot);
+        restored.resumePhaseTimers();
+        await sleep(250);
+
+        assert.equal(restored.getRoom(game.roomCode).phase, 'vote');
+        assert.deepEqual(phaseChanges, [game.roomCode]);
+    });
+});
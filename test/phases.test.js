@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./helpers');
+const { ERROR_CODES } = require('../errors');
+const { PHASES, isAllowed } = require('../phases');
+
+const transitions = (game) => game.events('PHASE_CHANGED').map(e => `${e.data.from}>${e.data.to}`);
+
+describe('phase state machine', () => {
+    it('records exactly one PHASE_CHANGED per transition, from game start to end', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const wolf = game.byRole('wolf');
+
+        game.endNight();
+        game.vote(game.alive().map(p => [p, 'SKIP']));
+        game.advance();
+        game.endNight();
+        game.lynch(wolf);
+
+        assert.deepEqual(transitions(game), [
+            'lobby>night',
+            'night>day',
+            'day>vote',
+            'vote>execution_reveal',
+            'execution_reveal>night',
+            'night>day',
+            'day>vote',
+            'vote>defense',
+            'defense>final_verdict',
+            'final_verdict>end'
+        ]);
+        // The end is recorded before the result
+        const types = game.replay.events.map(e => e.type);
+        assert.ok(types.lastIndexOf('PHASE_CHANGED') < types.indexOf('GAME_ENDED'));
+    });
+
+    it('every phase but lobby can be abandoned back to lobby', () => {
+        Object.values(PHASES).forEach(phase => assert.equal(isAllowed(phase, PHASES.LOBBY), true));
+        assert.equal(isAllowed(PHASES.LOBBY, PHASES.DAY), false);
+        assert.equal(isAllowed(PHASES.END, PHASES.NIGHT), false);
+    });
+
+    it('rejects moves that are not in the table', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+
+        assert.throws(() => game.manager.setPhase(game.room, PHASES.VOTE), { code: ERROR_CODES.INVALID_TRANSITION });
+        assert.equal(game.room.phase, 'night');
+    });
+
+    it('guards: no defense without an accused, no end without a winner', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.endNight();
+        game.advance();
+
+        assert.throws(() => game.manager.setPhase(game.room, PHASES.DEFENSE), { code: ERROR_CODES.INVALID_TRANSITION });
+        assert.throws(() => game.manager.setPhase(game.room, PHASES.END), { code: ERROR_CODES.INVALID_TRANSITION });
+        assert.equal(game.room.phase, 'vote');
+    });
+
+    it('enter hooks reset per-phase state', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const accused = game.byRole('villager');
+        game.endNight();
+
+        game.vote(game.alive().map(p => [p, accused]));
+        game.advance();
+        game.alive().forEach(p => game.manager.submitVote(game.roomCode, p.id, 'SPARE'));
+        game.advance();
+
+        assert.equal(game.room.phase, 'execution_reveal');
+        assert.equal(game.room.pendingExecutionId, null);
+        assert.equal(game.room.day, 2);
+    });
+
+    it('a running game cannot be started again, and is left untouched', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const victim = game.byRole('villager');
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.endNight();
+        const roles = game.room.players.map(p => p.role);
+        const { gameId, seed, events } = game.room;
+
+        assert.throws(() => game.manager.startGame(game.roomCode, game.hostId, { wolf: { count: 1 } }), { code: 'INVALID_TRANSITION' });
+        assert.equal(game.room.phase, 'day');
+        assert.equal(victim.alive, false);
+        assert.deepEqual(game.room.players.map(p => p.role), roles);
+        assert.equal(game.room.gameId, gameId);
+        assert.equal(game.room.seed, seed);
+        assert.equal(game.room.events, events);
+    });
+
+    it('a finished game goes back to the lobby before the next one starts', () => {
+        const game = createGame({ wolf: { count: 1 } }, 3);
+        game.act(game.byRole('wolf'), 'KILL', game.byRole('villager'));
+        game.endNight();
+        assert.equal(game.room.phase, 'end');
+        const winner = game.room.winner;
+
+        assert.throws(() => game.manager.startGame(game.roomCode, game.hostId, { wolf: { count: 1 } }), { code: 'INVALID_TRANSITION' });
+        assert.equal(game.room.winner, winner);
+        assert.equal(game.room.players.filter(p => p.alive && !p.isHost).length, 2);
+    });
+});
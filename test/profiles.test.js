@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+require('./helpers'); // quiet logs
+const { ProfileStore } = require('../ProfileStore');
+
+// Counts writes instead of touching the disk
+function memoryBackend() {
+    return {
+        saves: [],
+        load: () => null,
+        save(snapshot) { this.saves.push(snapshot); }
+    };
+}
+
+describe('profile store', () => {
+    it('a burst of new profiles is written once', async () => {
+        const backend = memoryBackend();
+        const store = new ProfileStore(backend, 20);
+        store.create('A');
+        store.create('B');
+        assert.equal(backend.saves.length, 0);
+
+        await sleep(60);
+        assert.equal(backend.saves.length, 1);
+        assert.equal(backend.saves[0].profiles.length, 2);
+    });
+});
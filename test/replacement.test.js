@@ -0,0 +1,192 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { createGame } = require('./helpers');
+const { GameManager } = require('../GameManager');
+const { BotController } = require('../BotController');
+
+const replacement = (game, settings) => game.manager.setReplacementSettings(game.roomCode, game.hostId, settings);
+
+// A dropped player whose grace period has run out
+const abandon = (game, player) => {
+    player.connected = false;
+    return game.manager.abandonSeat(game.roomCode, player.id);
+};
+
+describe('replacing disconnected players', () => {
+    it('a bot plays the seat with the same role and attributes', () => {
+        const game = createGame({ wolf: { count: 1 }, seer: { count: 1 } }, 5);
+        replacement(game, { mode: 'bot', botLevel: 'hard' });
+        const seer = game.byRole('seer');
+        seer.attributes.marked = true;
+
+        assert.equal(abandon(game, seer), seer);
+        assert.equal(seer.role, 'seer');
+        assert.deepEqual(seer.attributes, { marked: true });
+        assert.equal(seer.isBot, true);
+        assert.equal(seer.botLevel, 'hard');
+        assert.equal(game.events('PLAYER_REPLACED')[0].data.standIn, 'bot');
+
+        new BotController({ manager: game.manager, delay: { min: 0, max: 0 } }).schedule(game.roomCode);
+        assert.ok(game.room.actions.has(seer.id));
+    });
+
+    it('the grace period starts on disconnect and a reconnect in time cancels it', async () => {
+        const game = createGame({ wolf: { count: 1 } }, 5);
+        replacement(game, { mode: 'bot' });
+        game.room.replacementSettings.graceSeconds = 0.05;
+        const replaced = [];
+        game.manager.onSeatReplaced = (roomCode, player) => replaced.push(player.id);
+        const gone = game.byRole('villager');
+        const back = game.byRole('wolf');
+        game.act(back, 'KILL', gone);
+
+        game.manager.handleDisconnect(game.roomCode, gone.id);
+        game.manager.handleDisconnect(game.roomCode, back.id);
+        assert.equal(game.room.actions.has(back.id), false);
+        game.manager.joinRoom(game.roomCode, back.name, back.token);
+        await sleep(120);
+
+        assert.deepEqual(replaced, [gone.id]);
+        assert.equal(gone.standIn, 'bot');
+        assert.equal(back.standIn, undefined);
+        assert.equal(game.manager.seatGraceTimers.size, 0);
+    });
+
+    it('switching replacement on gives players who are already gone their grace period', async () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const gone = game.alive()[0];
+        game.manager.handleDisconnect(game.roomCode, gone.id);
+        assert.equal(game.manager.seatGraceTimers.size, 0);
+
+        game.room.replacementSettings.graceSeconds = 0.05;
+        replacement(game, { mode: 'takeover' });
+        await sleep(120);
+
+        assert.equal(gone.standIn, 'open');
+    });
+
+    it('after a restart, players who do not come back are replaced and the host grace runs again', async () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        replacement(game, { mode: 'bot' });
+        game.room.replacementSettings.graceSeconds = 0.05;
+        const replaced = [];
+        const restored = new GameManager({ onSeatReplaced: (roomCode, player) => replaced.push(player.id) });
+        restored.restoreRooms(game.manager.serializeRooms());
+        const room = restored.getRoom(game.roomCode);
+        const back = room.players.find(p => p.role === 'wolf');
+
+        restored.resumeGraceTimers();
+        assert.ok(room.hostLeftTimer);
+        restored.joinRoom(game.roomCode, back.name, back.token);
+        await sleep(120);
+
+        assert.equal(replaced.length, 3);
+        assert.ok(room.players.filter(p => !p.isHost && p !== back).every(p => p.standIn === 'bot'));
+        assert.equal(back.standIn, undefined);
+        clearTimeout(room.hostLeftTimer);
+    });
+
+    it('the player takes the seat back from the bot with their own token', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        replacement(game, { mode: 'bot' });
+        const player = game.byRole('villager');
+        abandon(game, player);
+
+        const { playerId, reconnected, reclaimed } = game.manager.joinRoom(game.roomCode, 'P?', player.token);
+
+        assert.equal(playerId, player.id);
+        assert.ok(reconnected && reclaimed);
+        assert.equal(player.isBot, undefined);
+        assert.equal(player.standIn, undefined);
+        assert.equal(game.events('PLAYER_RETURNED')[0].data.takeover, false);
+    });
+
+    it('a takeover token hands the seat to someone new and retires the old token', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        replacement(game, { mode: 'takeover' });
+        const wolf = game.byRole('wolf');
+        const oldToken = wolf.token;
+        wolf.profileId = 'old-profile';
+
+        abandon(game, wolf);
+        assert.equal(wolf.standIn, 'open');
+        assert.equal(wolf.isBot, undefined);
+        const token = game.manager.issueTakeoverToken(game.roomCode, game.hostId, wolf.id);
+
+        assert.throws(() => game.manager.joinRoom(game.roomCode, 'P1', oldToken), /Game already started/);
+        const { playerId } = game.manager.joinRoom(game.roomCode, 'Newcomer', token);
+        assert.equal(playerId, wolf.id);
+        assert.equal(wolf.role, 'wolf');
+        assert.equal(wolf.profileId, null);
+        assert.equal(game.events('PLAYER_RETURNED')[0].data.takeover, true);
+        game.act(wolf, 'KILL', game.byRole('villager'));
+    });
+
+    it('only the host issues takeover tokens, and only for abandoned seats', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        replacement(game, { mode: 'takeover' });
+        const [first, second] = game.alive();
+
+        assert.throws(() => game.manager.issueTakeoverToken(game.roomCode, game.hostId, first.id), /rời ván/);
+        abandon(game, first);
+        assert.throws(() => game.manager.issueTakeoverToken(game.roomCode, second.id, first.id), /Host/);
+    });
+
+    it('nothing changes hands when replacement is off, or the player is back or dead', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const [first, second, third] = game.alive();
+
+        assert.equal(abandon(game, first), null);
+        replacement(game, { mode: 'bot' });
+        assert.equal(game.manager.abandonSeat(game.roomCode, second.id), null);
+        third.alive = false;
+        assert.equal(abandon(game, third), null);
+        assert.ok([first, second, third].every(p => !p.standIn));
+    });
+
+    it('undo keeps whoever sits in the seat now', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        replacement(game, { mode: 'bot' });
+        game.endNight();
+        const player = game.alive().find(p => p.role === 'villager');
+
+        abandon(game, player);
+        game.manager.undoLastAdvance(game.roomCode, game.hostId);
+
+        const restored = game.room.players.find(p => p.id === player.id);
+        assert.equal(game.room.phase, 'night');
+        assert.equal(restored.standIn, 'bot');
+        assert.equal(restored.isBot, true);
+    });
+
+    it('seats held for players who left are given up when the room goes back to the lobby', () => {
+        ['endGame', 'resetGame'].forEach(method => {
+            const game = createGame({ wolf: { count: 1 } }, 5);
+            replacement(game, { mode: 'bot' });
+            const [botSeat, openSeat, stays] = game.alive();
+            abandon(game, botSeat);
+            replacement(game, { mode: 'takeover' });
+            abandon(game, openSeat);
+            game.manager.issueTakeoverToken(game.roomCode, game.hostId, openSeat.id);
+
+            game.manager[method](game.roomCode, game.hostId);
+
+            const ids = game.room.players.map(p => p.id);
+            assert.equal(ids.includes(botSeat.id), false, method);
+            assert.equal(ids.includes(openSeat.id), false, method);
+            assert.ok(ids.includes(stays.id));
+            assert.ok(game.room.players.every(p => !p.isBot && !p.standIn && !p.takeoverPending));
+        });
+    });
+
+    it('only the host changes the settings, within limits', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+
+        assert.throws(() => game.manager.setReplacementSettings(game.roomCode, game.alive()[0].id, { mode: 'bot' }));
+        assert.throws(() => replacement(game, { mode: 'kick' }));
+        assert.throws(() => replacement(game, { graceSeconds: 5 }));
+        assert.throws(() => replacement(game, { botLevel: 'insane' }));
+        assert.deepEqual(replacement(game, { mode: 'takeover', graceSeconds: 30 }).replacementSettings, { mode: 'takeover', graceSeconds: 30, botLevel: 'normal' });
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+require('./helpers'); // quiet logs
+const { ReplayStore } = require('../ReplayStore');
+
+const replay = (gameId, roomCode, endedAt) => ({
+    gameId, roomCode, status: 'finished', startedAt: endedAt - 1000, endedAt, winner: null, players: [{}, {}], events: []
+});
+
+describe('replay store', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-soi-replays-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('lists a room\'s games newest first, scanning the folder only once', async () => {
+        fs.writeFileSync(path.join(dir, 'oldgame1.json'), JSON.stringify(replay('oldgame1', 'ROOM1', 1000)));
+        fs.writeFileSync(path.join(dir, 'broken01.json'), '{');
+        const store = new ReplayStore(dir);
+        let scans = 0;
+        const scanFolder = store.scanFolder.bind(store);
+        store.scanFolder = () => { scans++; return scanFolder(); };
+
+        store.save(replay('newgame1', 'ROOM1', 3000));
+        store.save(replay('othroom1', 'ROOM2', 2000));
+        const [first, second] = await Promise.all([store.list('ROOM1'), store.list('ROOM1')]);
+        store.save(replay('newgame2', 'ROOM1', 4000));
+
+        assert.deepEqual(first.map(r => r.gameId), ['newgame1', 'oldgame1']);
+        assert.deepEqual(second, first);
+        assert.deepEqual((await store.list('ROOM1')).map(r => r.gameId), ['newgame2', 'newgame1', 'oldgame1']);
+        assert.equal((await store.list('ROOM1'))[0].playerCount, 2);
+        assert.equal(scans, 1);
+    });
+
+    it('an empty list when nothing was saved yet', async () => {
+        assert.deepEqual(await new ReplayStore(path.join(dir, 'missing')).list('ROOM1'), []);
+    });
+});
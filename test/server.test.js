@@ -0,0 +1,222 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { io } = require('socket.io-client');
+
+// Drives the real server.js over socket.io, like the browser pages do
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const srv = net.createServer();
+        srv.listen(0, () => {
+            const { port } = srv.address();
+            srv.close(() => resolve(port));
+        });
+        srv.on('error', reject);
+    });
+}
+
+function waitFor(socket, event, { timeout = 3000, filter = () => true } = {}) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, handler);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeout);
+        const handler = (data) => {
+            if (!filter(data)) return;
+            clearTimeout(timer);
+            socket.off(event, handler);
+            resolve(data);
+        };
+        socket.on(event, handler);
+    });
+}
+
+// Resolves with the ERROR payload, or null when none arrives within `ms`
+function errorWithin(socket, ms = 300) {
+    return waitFor(socket, 'ERROR', { timeout: ms }).catch(() => null);
+}
+
+describe('server.js over socket.io', () => {
+    let server;
+    let url;
+    let dataDir;
+    const sockets = [];
+
+    const connect = async () => {
+        const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+        sockets.push(socket);
+        await waitFor(socket, 'connect');
+        return socket;
+    };
+
+    before(async () => {
+        const port = await freePort();
+        url = `http://127.0.0.1:${port}`;
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-soi-test-'));
+        server = spawn(process.execPath, ['server.js'], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, PORT: String(port), ROOM_STORE: 'none', REPLAY_DIR: path.join(dataDir, 'replays'), GAME_SEED: 'server-test' },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Server did not start')), 10000);
+            server.stdout.on('data', chunk => {
+                if (String(chunk).includes('running on port')) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+            server.on('exit', code => reject(new Error(`Server exited with ${code}`)));
+        });
+    });
+
+    after(() => {
+        sockets.forEach(s => s.close());
+        if (server) server.kill();
+        if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    // Host + 4 players, game started with one Alpha Wolf and one Seer
+    async function startGame() {
+        const host = await connect();
+        host.emit('CREATE_ROOM', { playerName: 'Host' });
+        const { roomCode, playerId: hostId } = await waitFor(host, 'ROOM_CREATED');
+
+        const players = [];
+        for (let i = 1; i <= 4; i++) {
+            const socket = await connect();
+            socket.emit('JOIN_ROOM', { roomCode, playerName: `P${i}` });
+            const { playerId } = await waitFor(socket, 'ROOM_CREATED');
+            players.push({ socket, id: playerId });
+        }
+
+        const started = players.map(p => waitFor(p.socket, 'GAME_STARTED'));
+        host.emit('START_GAME', { roleConfig: { alphaWolf: { count: 1 }, seer: { count: 1 } } });
+        (await Promise.all(started)).forEach((data, i) => { players[i].role = data.role; });
+
+        const byRole = (role) => players.find(p => p.role === role);
+        return { host, hostId, roomCode, players, byRole };
+    }
+
+    it('deals role ids exactly as the role registry names them', async () => {
+        const game = await startGame();
+        const roles = game.players.map(p => p.role).sort();
+        assert.deepEqual(roles, ['alphaWolf', 'seer', 'villager', 'villager']);
+    });
+
+    it('accepts the Alpha Wolf KILL and updates the live wolf tally', async () => {
+        const game = await startGame();
+        const alpha = game.byRole('alphaWolf');
+        const victim = game.byRole('villager');
+
+        const tally = waitFor(alpha.socket, 'WOLF_TALLY');
+        const error = errorWithin(alpha.socket);
+        alpha.socket.emit('ACTION', { type: 'KILL', targetId: victim.id });
+
+        assert.equal(await error, null);
+        const data = await tally;
+        assert.equal(data.targetId, victim.id);
+        assert.equal(data.votes[0].count, 1);
+    });
+
+    it('updates the wolf tally when the Alpha trades its KILL for the curse', async () => {
+        const game = await startGame();
+        const alpha = game.byRole('alphaWolf');
+        const victim = game.byRole('villager');
+
+        alpha.socket.emit('ACTION', { type: 'KILL', targetId: victim.id });
+        await waitFor(alpha.socket, 'WOLF_TALLY');
+        const tally = waitFor(alpha.socket, 'WOLF_TALLY');
+        alpha.socket.emit('ACTION', { type: 'CURSE', targetId: victim.id });
+
+        const data = await tally;
+        assert.deepEqual(data.votes, []);
+        assert.equal(data.targetId, null);
+    });
+
+    it('resolves the night on NEXT_PHASE and tells everyone who died', async () => {
+        const game = await startGame();
+        const alpha = game.byRole('alphaWolf');
+        const seer = game.byRole('seer');
+        const victim = game.byRole('villager');
+
+        alpha.socket.emit('ACTION', { type: 'KILL', targetId: victim.id });
+        await waitFor(alpha.socket, 'WOLF_TALLY');
+        const seerLogged = waitFor(game.host, 'HOST_UPDATE', { filter: d => d.actionLog.actorRole === 'seer' });
+        seer.socket.emit('ACTION', { type: 'CHECK', targetId: alpha.id });
+        await seerLogged;
+
+        const phase = waitFor(victim.socket, 'PHASE_CHANGED', { filter: d => d.phase === 'day' });
+        const seerResult = waitFor(seer.socket, 'PRIVATE_RESULT');
+        game.host.emit('NEXT_PHASE');
+
+        const data = await phase;
+        assert.deepEqual(data.nightDeaths.map(d => d.id), [victim.id]);
+        const result = await seerResult;
+        assert.equal(result.result, 'wolf');
+    });
+
+    it('sends the day deadline with the phase and pushes host timer changes to everyone', async () => {
+        const game = await startGame();
+        const player = game.players[0];
+
+        const day = waitFor(player.socket, 'PHASE_CHANGED', { filter: d => d.phase === 'day' });
+        game.host.emit('NEXT_PHASE');
+        const { timer } = await day;
+        assert.equal(timer.phase, 'day');
+        assert.equal(timer.paused, false);
+        assert.ok(timer.endsAt > timer.now);
+
+        const update = waitFor(player.socket, 'TIMER_UPDATE');
+        game.host.emit('PAUSE_TIMER');
+        const paused = await update;
+        assert.equal(paused.paused, true);
+        assert.ok(paused.remainingMs > 0 && paused.remainingMs <= timer.endsAt - timer.now);
+    });
+
+    it('lets a spectator watch a running game without seeing roles', async () => {
+        const game = await startGame();
+        const spectator = await connect();
+
+        const count = waitFor(game.host, 'SPECTATORS_UPDATED');
+        spectator.emit('JOIN_AS_SPECTATOR', { roomCode: game.roomCode, name: 'Fan' });
+        const { view } = await waitFor(spectator, 'SPECTATOR_JOINED');
+        assert.equal(view.phase, 'night');
+        assert.ok(view.players.every(p => p.role === '???'));
+        assert.equal((await count).count, 1);
+
+        const next = waitFor(spectator, 'SPECTATOR_VIEW', { filter: d => d.phase === 'day' });
+        game.host.emit('NEXT_PHASE');
+        assert.equal((await next).day, 1);
+    });
+
+    it('throttles profile creation per client', async () => {
+        const create = (forwardedFor) => fetch(`${url}/api/profiles`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': forwardedFor },
+            body: JSON.stringify({ name: 'Profiled' })
+        });
+
+        for (let i = 0; i < 10; i++) assert.equal((await create('203.0.113.7')).status, 201);
+        // Behind the proxy every client has its own limit
+        assert.equal((await create('203.0.113.8')).status, 201);
+        const throttled = await create('203.0.113.7');
+        assert.equal(throttled.status, 429);
+        assert.match((await throttled.json()).error, /try again/);
+    });
+
+    it('reports rule violations with an error code', async () => {
+        const game = await startGame();
+        const villager = game.byRole('villager');
+
+        const error = waitFor(villager.socket, 'ERROR');
+        villager.socket.emit('ACTION', { type: 'KILL', targetId: game.byRole('seer').id });
+
+        assert.equal((await error).code, 'ACTION_NOT_ALLOWED');
+    });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./helpers');
+
+const watch = (game, name = 'Fan') => game.manager.joinSpectator(game.roomCode, name).spectatorId;
+
+describe('spectators', () => {
+    it('join at any phase without counting as players', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.endNight();
+        const before = game.manager.getActionStatus(game.roomCode);
+
+        const spectatorId = watch(game);
+
+        assert.equal(game.room.spectators.length, 1);
+        assert.equal(game.room.players.some(p => p.id === spectatorId), false);
+        assert.deepEqual(game.manager.getActionStatus(game.roomCode), before);
+    });
+
+    it('cannot act, vote or chat', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const spectatorId = watch(game);
+        const victim = game.byRole('villager');
+
+        assert.throws(() => game.manager.submitAction(game.roomCode, spectatorId, 'KILL', victim.id));
+        game.endNight();
+        game.advance();
+        assert.equal(game.manager.submitVote(game.roomCode, spectatorId, victim.id), null);
+        assert.equal(game.room.votes.size, 0);
+        assert.throws(() => game.manager.addChatMessage(game.roomCode, spectatorId, 'hi'));
+        assert.deepEqual(game.manager.getChatSync(game.roomCode, spectatorId).writable, []);
+    });
+
+    it('hidden view shows no roles and no event log', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const view = game.manager.getPlayerView(game.roomCode, watch(game));
+
+        assert.ok(view.players.every(p => p.role === '???'));
+        assert.deepEqual(view.events, []);
+        assert.equal(view.delayedUntil, null);
+    });
+
+    it('delayed view shows roles and only events from before the current phase', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.manager.setSpectatorSettings(game.roomCode, game.hostId, { view: 'delayed' });
+        const spectatorId = watch(game);
+        const wolf = game.byRole('wolf');
+        const victim = game.byRole('villager');
+
+        game.act(wolf, 'KILL', victim);
+        let view = game.manager.getPlayerView(game.roomCode, spectatorId);
+        assert.equal(view.events.some(e => e.type === 'ACTION_SUBMITTED'), false);
+
+        game.endNight();
+        view = game.manager.getPlayerView(game.roomCode, spectatorId);
+        assert.deepEqual(view.delayedUntil, { phase: 'day', day: 1 });
+        assert.equal(view.events.some(e => e.type === 'ACTION_SUBMITTED' && e.data.actorId === wolf.id), true);
+        assert.equal(view.players.find(p => p.id === wolf.id).role, 'wolf');
+    });
+
+    it('delayed view never shows the live roles', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.manager.setSpectatorSettings(game.roomCode, game.hostId, { view: 'delayed' });
+        const spectatorId = watch(game);
+        const view = () => game.manager.getPlayerView(game.roomCode, spectatorId);
+
+        // First night: the deal is the current state, so nothing shows yet
+        assert.ok(view().players.every(p => p.role === '???'));
+        assert.equal(view().events.some(e => e.type === 'ROLE_ASSIGNED'), false);
+
+        game.endNight();
+        const seat = game.byRole('villager');
+        seat.role = 'seer'; // a role change during the day stays hidden until the next phase
+        assert.equal(view().players.find(p => p.id === seat.id).role, 'villager');
+    });
+
+    it('delayed view keeps the seed out of the game start', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        game.manager.setSpectatorSettings(game.roomCode, game.hostId, { view: 'delayed' });
+        const spectatorId = watch(game);
+        const started = () => game.manager.getPlayerView(game.roomCode, spectatorId).events.find(e => e.type === 'GAME_STARTED');
+        const victim = game.byRole('villager');
+
+        assert.ok(started());
+        assert.equal('seed' in started().data, false);
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.endNight();
+        assert.equal('seed' in started().data, false);
+        assert.equal(game.events('GAME_STARTED')[0].data.seed, game.room.seed);
+    });
+
+    it('chat access follows the host setting', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const spectatorId = watch(game);
+        const sync = () => game.manager.getChatSync(game.roomCode, spectatorId);
+        game.manager.addChatMessage(game.roomCode, game.byRole('wolf').id, 'tối nay ai?', 'wolf');
+        game.endNight();
+        game.manager.addChatMessage(game.roomCode, game.alive()[0].id, 'chào');
+
+        assert.equal(sync().log.length, 1);
+        assert.deepEqual(sync().channels, {});
+
+        game.manager.setSpectatorSettings(game.roomCode, game.hostId, { chat: 'all' });
+        assert.equal(sync().channels.wolf.length, 1);
+
+        game.manager.setSpectatorSettings(game.roomCode, game.hostId, { chat: 'none' });
+        assert.deepEqual(sync().log, []);
+    });
+
+    it('only the host changes settings, and closing the room to spectators blocks new ones', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        const player = game.alive()[0];
+
+        assert.throws(() => game.manager.setSpectatorSettings(game.roomCode, player.id, { allowed: false }));
+        assert.throws(() => game.manager.setSpectatorSettings(game.roomCode, game.hostId, { view: 'full' }));
+        game.manager.setSpectatorSettings(game.roomCode, game.hostId, { allowed: false });
+        assert.throws(() => watch(game));
+    });
+
+    it('players never see the spectator list or the event log', () => {
+        const game = createGame({ wolf: { count: 1 } }, 4);
+        watch(game);
+        const view = game.manager.getPlayerView(game.roomCode, game.alive()[0].id);
+
+        assert.equal(view.spectators, undefined);
+        assert.equal(view.events, undefined);
+        assert.equal(view.spectatorCount, 1);
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./helpers');
+
+// 1 wolf + 5 villagers, past night 1 with nobody dead
+function dayOne() {
+    const game = createGame({ wolf: { count: 1 }, lawyer: { count: 1 } }, 6);
+    game.endNight();
+    assert.equal(game.room.phase, 'day');
+    return game;
+}
+
+describe('resolveVote -> startFinalVerdict -> resolveFinalVerdict', () => {
+    it('the most voted player goes to defense', () => {
+        const game = dayOne();
+        const [a, b, c] = game.alive().filter(p => p.role !== 'wolf');
+
+        game.vote([[a, b], [c, b], [b, a]]);
+
+        assert.equal(game.room.phase, 'defense');
+        assert.equal(game.room.pendingExecutionId, b.id);
+        const resolved = game.events('VOTE_RESOLVED').at(-1).data;
+        assert.equal(resolved.accusedId, b.id);
+        assert.deepEqual(resolved.tally, { [b.id]: 2, [a.id]: 1 });
+    });
+
+    it('only SKIP votes means nobody is accused and the day ends', () => {
+        const game = dayOne();
+        const day = game.room.day;
+
+        game.vote(game.alive().map(p => [p, 'SKIP']));
+
+        assert.equal(game.room.phase, 'execution_reveal');
+        assert.equal(game.room.pendingExecutionId, null);
+        assert.equal(game.room.day, day + 1);
+    });
+
+    it('defense leads to the final verdict on the accused', () => {
+        const game = dayOne();
+        const accused = game.byRole('villager');
+
+        game.vote(game.alive().map(p => [p, accused]));
+        game.advance();
+
+        assert.equal(game.room.phase, 'final_verdict');
+        assert.equal(game.room.pendingExecutionId, accused.id);
+    });
+
+    it('more EXECUTE than SPARE votes executes the accused', () => {
+        const game = dayOne();
+        const accused = game.byRole('villager');
+
+        game.lynch(accused, 'EXECUTE');
+
+        assert.equal(accused.alive, false);
+        assert.equal(game.room.executedPlayerId, accused.id);
+        assert.equal(game.room.phase, 'execution_reveal');
+        const verdict = game.events('VERDICT').at(-1).data;
+        assert.equal(verdict.executed, true);
+    });
+
+    it('a SPARE majority (or a tie) spares the accused', () => {
+        const game = dayOne();
+        const accused = game.byRole('villager');
+
+        game.vote(game.alive().map(p => [p, accused]));
+        game.advance();
+        const voters = game.alive();
+        voters.forEach((p, i) => game.manager.submitVote(game.roomCode, p.id, i % 2 === 0 ? 'EXECUTE' : 'SPARE'));
+        game.advance();
+
+        assert.equal(accused.alive, true);
+        assert.equal(game.room.executedPlayerId, null);
+        assert.equal(game.room.phase, 'execution_reveal');
+    });
+
+    it('the final verdict can change a vote: the last choice counts', () => {
+        const game = dayOne();
+        const accused = game.byRole('villager');
+
+        game.vote(game.alive().map(p => [p, accused]));
+        game.advance();
+        game.alive().forEach(p => game.manager.submitVote(game.roomCode, p.id, 'EXECUTE'));
+        game.alive().forEach(p => game.manager.submitVote(game.roomCode, p.id, 'SPARE'));
+        game.advance();
+
+        assert.equal(accused.alive, true);
+    });
+
+    it('the lawyer saves their client from the vote', () => {
+        const game = dayOne();
+        const lawyer = game.byRole('lawyer');
+        const client = game.byRole('villager');
+
+        game.manager.submitLawyerProtect(game.roomCode, lawyer.id, client.id);
+        game.vote(game.alive().map(p => [p, client]));
+
+        assert.equal(game.room.phase, 'execution_reveal');
+        assert.equal(client.alive, true);
+        assert.equal(lawyer.privateResults.at(-1).result, 'success');
+        assert.equal(lawyer.attributes.hasProtected, true);
+    });
+
+    it('a lawyer protecting someone else does not stop the vote', () => {
+        const game = dayOne();
+        const lawyer = game.byRole('lawyer');
+        const [client, accused] = game.alive().filter(p => p.role === 'villager');
+
+        game.manager.submitLawyerProtect(game.roomCode, lawyer.id, client.id);
+        game.vote(game.alive().map(p => [p, accused]));
+
+        assert.equal(game.room.phase, 'defense');
+        assert.equal(lawyer.privateResults.at(-1).result, 'unused');
+    });
+
+    it('dead players cannot vote', () => {
+        const game = createGame({ wolf: { count: 1 } }, 5);
+        const victim = game.byRole('villager');
+        game.act(game.byRole('wolf'), 'KILL', victim);
+        game.endNight();
+        game.advance();
+
+        assert.equal(game.manager.submitVote(game.roomCode, victim.id, game.byRole('wolf').id), null);
+        assert.equal(game.room.votes.has(victim.id), false);
+    });
+});
@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('./helpers');
+
+const assertWinner = (game, faction, reason, winners) => {
+    assert.equal(game.room.phase, 'end');
+    assert.equal(game.room.winner.faction, faction);
+    assert.equal(game.room.winner.reason, reason);
+    if (winners) assert.deepEqual([...game.room.winner.playerIds].sort(), winners.map(p => p.id).sort());
+};
+
+describe('win conditions', () => {
+    it('villagers win when the last wolf is executed', () => {
+        const game = createGame({ wolf: { count: 1 }, seer: { count: 1 } }, 4);
+        const wolf = game.byRole('wolf');
+
+        game.endNight();
+        game.lynch(wolf);
+
+        assertWinner(game, 'villager', 'no_wolves_left', game.room.players.filter(p => !p.isHost && p !== wolf));
+    });
+
+    it('villagers win when the witch poisons the last wolf', () => {
+        const game = createGame({ wolf: { count: 1 }, witch: { count: 1 } }, 4);
+
+        game.act(game.byRole('witch'), 'KILL', game.byRole('wolf'));
+        game.endNight();
+
+        assertWinner(game, 'villager', 'no_wolves_left');
+    });
+
+    it('wolves win once they are as many as everyone else', () => {
+        const game = createGame({ wolf: { count: 1 } }, 3);
+        const wolf = game.byRole('wolf');
+
+        game.act(wolf, 'KILL', game.byRole('villager'));
+        game.endNight();
+
+        assertWinner(game, 'wolf', 'wolves_outnumber', [wolf]);
+    });
+
+    it('a converted player wins with the wolves', () => {
+        const game = createGame({ alphaWolf: { count: 1 }, wolf: { count: 1 } }, 5);
+        const convert = game.byRole('villager');
+
+        game.act(game.byRole('wolf'), 'KILL', convert);
+        game.act(game.byRole('alphaWolf'), 'CURSE', convert);
+        game.endNight();
+
+        // 3 wolves vs 2 villagers after the conversion
+        assertWinner(game, 'wolf', 'wolves_outnumber', [game.byRole('alphaWolf'), game.byRole('wolf'), convert]);
+    });
+
+    it('a jester traitor wins alone when lynched', () => {
+        const game = createGame({ wolf: { count: 1 }, traitor: { count: 1, mode: 'jester' } }, 5);
+        const traitor = game.byRole('traitor');
+
+        game.endNight();
+        game.lynch(traitor);
+
+        assertWinner(game, 'traitor', 'traitor_lynched', [traitor]);
+    });
+
+    it('a jester traitor lynched together with the last wolf still wins first', () => {
+        const game = createGame({ wolf: { count: 1 }, cupid: { count: 1 }, traitor: { count: 1, mode: 'jester' } }, 5);
+        const traitor = game.byRole('traitor');
+        const wolf = game.byRole('wolf');
+
+        game.act(game.byRole('cupid'), 'PAIR', [traitor, wolf]);
+        game.endNight();
+        game.lynch(traitor);
+
+        // The wolf died of grief in the same execution
+        assert.equal(wolf.alive, false);
+        assertWinner(game, 'traitor', 'traitor_lynched', [traitor]);
+    });
+
+    it('a wolf-ally traitor wins with the wolves', () => {
+        const game = createGame({ wolf: { count: 1 }, traitor: { count: 1, mode: 'wolfAlly' } }, 4);
+        const wolf = game.byRole('wolf');
+        const traitor = game.byRole('traitor');
+        const [first, second] = game.alive().filter(p => p.role === 'villager');
+
+        game.act(wolf, 'KILL', first);
+        game.endNight();
+        assert.equal(game.room.phase, 'day');
+        game.lynch(second);
+
+        assertWinner(game, 'wolf', 'wolves_outnumber', [wolf, traitor]);
+    });
+
+    it('a wolf-ally traitor stays a wolf ally after a reconnect on night 1', () => {
+        const game = createGame({ wolf: { count: 1 }, traitor: { count: 1, mode: 'wolfAlly' } }, 4);
+        const traitor = game.byRole('traitor');
+
+        const wolf = game.byRole('wolf');
+        const [first, second] = game.alive().filter(p => p.role === 'villager');
+
+        game.manager.handleDisconnect(game.roomCode, traitor.id);
+        game.manager.joinRoom(game.roomCode, traitor.name, traitor.token);
+        game.act(wolf, 'KILL', first);
+        game.endNight();
+        game.lynch(second);
+
+        assertWinner(game, 'wolf', 'wolves_outnumber', [wolf, traitor]);
+    });
+
+    it('lovers from different factions win as the last two alive', () => {
+        const game = createGame({ wolf: { count: 1 }, cupid: { count: 1 } }, 4);
+        const wolf = game.byRole('wolf');
+        const cupid = game.byRole('cupid');
+        const [lover, other] = game.alive().filter(p => p.role === 'villager');
+
+        game.act(cupid, 'PAIR', [wolf, lover]);
+        game.act(wolf, 'KILL', cupid);
+        game.endNight();
+        assert.equal(game.room.phase, 'day');
+        game.lynch(other);
+
+        assertWinner(game, 'lovers', 'lovers_last_alive', [wolf, lover]);
+    });
+
+    it('the finished game is handed over as a replay', () => {
+        const game = createGame({ wolf: { count: 1 } }, 3);
+
+        game.act(game.byRole('wolf'), 'KILL', game.byRole('villager'));
+        game.endNight();
+
+        assert.equal(game.replay.status, 'finished');
+        assert.equal(game.replay.winner.faction, 'wolf');
+        assert.equal(game.replay.seed, game.room.seed);
+        assert.equal(game.events('GAME_ENDED').length, 1);
+    });
+
+    it('the seed that dealt the roles is only published in the replay', () => {
+        const game = createGame({ wolf: { count: 1 } }, 3);
+        const view = game.manager.getPlayerView(game.roomCode, game.byRole('villager').id);
+
+        assert.equal(view.seed, undefined);
+        assert.equal(view.rng, undefined);
+        assert.equal(JSON.stringify(view).includes(game.room.seed), false);
+
+        game.act(game.byRole('wolf'), 'KILL', game.byRole('villager'));
+        game.endNight();
+        assert.equal(game.replay.seed, game.room.seed);
+    });
+});